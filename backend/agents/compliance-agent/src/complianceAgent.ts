@@ -1,5 +1,5 @@
 import { EventEmitter } from 'events';
-// import axios, { AxiosResponse } from 'axios'; // Commented out until used
+import axios from 'axios';
 import winston from 'winston';
 import { v4 as uuidv4 } from 'uuid';
 import Joi from 'joi';
@@ -13,7 +13,7 @@ export interface ComplianceRule {
   description: string;
   enabled: boolean;
   severity: 'low' | 'medium' | 'high' | 'critical';
-  category: 'temperature' | 'location' | 'timing' | 'handling' | 'security';
+  category: 'temperature' | 'location' | 'timing' | 'handling' | 'security' | 'sensor';
   parameters: {
     tempThreshold?: {
       min: number;
@@ -26,6 +26,8 @@ export interface ComplianceRule {
     humidityThreshold?: {
       max: number;
     };
+    alertTypes?: string[];
+    channels?: string[];
   };
   action: 'warn' | 'alert' | 'invoice' | 'suspend';
   invoiceAmount?: number; // in ADA
@@ -106,6 +108,7 @@ export interface MasumiPaymentRequest {
     invoiceId: string;
     shipmentId: string;
     violationId: string;
+    severity: string;
   };
 }
 
@@ -129,6 +132,8 @@ export class ComplianceAgent extends EventEmitter {
   private masumiAgentUrl: string;
   private isActive: boolean;
   private rulesFilePath: string;
+  private eventStreamController?: AbortController;
+  private lastEventId?: string;
 
   constructor(config: {
     trackingAgentUrl?: string;
@@ -370,7 +375,7 @@ export class ComplianceAgent extends EventEmitter {
           description: Joi.string().required(),
           enabled: Joi.boolean().required(),
           severity: Joi.string().valid('low', 'medium', 'high', 'critical').required(),
-          category: Joi.string().valid('temperature', 'location', 'timing', 'handling', 'security').required(),
+          category: Joi.string().valid('temperature', 'location', 'timing', 'handling', 'security', 'sensor').required(),
           action: Joi.string().valid('warn', 'alert', 'invoice', 'suspend').required(),
           parameters: Joi.object().optional(),
           invoiceAmount: Joi.number().positive().optional()
@@ -390,34 +395,126 @@ export class ComplianceAgent extends EventEmitter {
     return { isValid: true };
   }
 
-  // Subscribe to tracking agent events
+  // Subscribe to tracking agent events over its Server-Sent Events stream
   private subscribeToTrackingEvents(): void {
-    // TODO: Implement WebSocket or HTTP polling to tracking agent events
-    // For now, simulate event subscription
     this.logger.info('Subscribing to Tracking Agent events', {
       url: this.trackingAgentUrl
     });
 
-    // Simulate periodic event polling
-    setInterval(() => {
-      if (this.isActive) {
-        this.pollTrackingEvents();
+    this.connectEventStream();
+  }
+
+  // Open the event stream, resuming after the last event we processed
+  private async connectEventStream(): Promise<void> {
+    const controller = new AbortController();
+    this.eventStreamController = controller;
+
+    try {
+      const response = await axios.get(`${this.trackingAgentUrl}/events`, {
+        responseType: 'stream',
+        signal: controller.signal,
+        headers: {
+          Accept: 'text/event-stream',
+          ...(this.lastEventId ? { 'Last-Event-ID': this.lastEventId } : {})
+        }
+      });
+
+      this.logger.info('Connected to Tracking Agent event stream', {
+        lastEventId: this.lastEventId
+      });
+
+      let buffer = '';
+      response.data.on('data', (chunk: Buffer) => {
+        buffer += chunk.toString('utf8');
+
+        // Events are separated by a blank line
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+          this.handleStreamMessage(buffer.slice(0, boundary));
+          buffer = buffer.slice(boundary + 2);
+          boundary = buffer.indexOf('\n\n');
+        }
+      });
+
+      response.data.on('end', () => this.scheduleReconnect(controller));
+      response.data.on('error', () => this.scheduleReconnect(controller));
+
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        this.logger.warn('Tracking Agent event stream unavailable', {
+          error: error instanceof Error ? error.message : error
+        });
+        this.scheduleReconnect(controller);
+      }
+    }
+  }
+
+  // Reconnect after the stream drops, unless the agent was stopped
+  private scheduleReconnect(controller: AbortController): void {
+    if (controller.signal.aborted || this.eventStreamController !== controller) {
+      return;
+    }
+
+    setTimeout(() => {
+      if (this.isActive && this.eventStreamController === controller && !controller.signal.aborted) {
+        this.connectEventStream();
       }
-    }, 5000); // Poll every 5 seconds
+    }, 5000);
   }
 
-  // Poll tracking agent for new events (stub implementation)
-  private async pollTrackingEvents(): Promise<void> {
+  // Parse a single SSE message and dispatch it
+  private handleStreamMessage(message: string): void {
+    let id: string | undefined;
+    let type = 'message';
+    const dataLines: string[] = [];
+
+    message.split('\n').forEach(line => {
+      if (line.startsWith('id:')) {
+        id = line.slice(3).trim();
+      } else if (line.startsWith('event:')) {
+        type = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trim());
+      }
+    });
+
+    if (id) {
+      this.lastEventId = id;
+    }
+    if (dataLines.length === 0) {
+      return;
+    }
+
+    let payload: any;
     try {
-      // TODO: Replace with actual WebSocket or Server-Sent Events
-      // This is a placeholder for demonstration
-      this.logger.debug('Polling tracking agent for events');
-      
-      // In real implementation, this would be event-driven
-      // For now, we'll process events when they come through handleTelemetryEvent
-      
+      payload = JSON.parse(dataLines.join('\n'));
     } catch (error) {
-      this.logger.error('Error polling tracking events', { error });
+      this.logger.warn('Malformed event from Tracking Agent', { id, type });
+      return;
+    }
+
+    switch (type) {
+      case 'alert':
+        this.handleTelemetryEvent({
+          shipmentId: payload.shipmentId,
+          deviceId: payload.deviceId,
+          timestamp: new Date(payload.alert.timestamp),
+          eventType: 'alert',
+          data: payload.telemetry,
+          alert: payload.alert
+        });
+        break;
+      case 'digital-twin:updated':
+        this.handleTelemetryEvent({
+          shipmentId: payload.shipmentId,
+          deviceId: payload.telemetry.deviceId,
+          timestamp: new Date(payload.changes.lastUpdated || payload.telemetry.timestamp),
+          eventType: 'digital-twin:updated',
+          data: payload.telemetry
+        });
+        break;
+      default:
+        this.logger.debug('Ignoring tracking event', { id, type });
     }
   }
 
@@ -479,7 +576,21 @@ export class ComplianceAgent extends EventEmitter {
       case 'handling':
         return alert.type === 'vibration' || alert.type === 'shock';
       case 'location':
-        return alert.type === 'geofence';
+        // Route corridor alerts carry the deviation in meters; plain geofence breaches carry none
+        return alert.type === 'geofence' &&
+          (rule.parameters.maxDeviationMeters === undefined || !alert.value || alert.value > rule.parameters.maxDeviationMeters);
+      case 'timing':
+        // ETA delay alerts carry the expected delay in minutes
+        return alert.type === 'delay' &&
+          (rule.parameters.maxDelayMins === undefined || alert.value > rule.parameters.maxDelayMins);
+      case 'security':
+        // Door, light and seal alerts point at cargo access; low battery and offline devices
+        // mean readings may be missing, not that conditions were fine
+        return (rule.parameters.alertTypes || ['door', 'light', 'tamper', 'battery', 'offline']).includes(alert.type);
+      case 'sensor':
+        // Custom sensor channel alerts name the channel they were raised for
+        return alert.type === 'channel' &&
+          (!rule.parameters.channels || rule.parameters.channels.includes(alert.channel));
       default:
         return false;
     }
@@ -515,7 +626,9 @@ export class ComplianceAgent extends EventEmitter {
       evidence: {
         originalEvent: event,
         alert,
-        telemetrySnapshot: event.data
+        telemetrySnapshot: event.data,
+        // Signature check recorded by Tracking Agent when the reading was ingested
+        provenance: event.data?.verification || { status: 'unknown' }
       },
       status: 'detected'
     };
@@ -632,7 +745,8 @@ export class ComplianceAgent extends EventEmitter {
         metadata: {
           invoiceId: invoice.invoiceId,
           shipmentId: invoice.shipmentId,
-          violationId: invoice.violationId
+          violationId: invoice.violationId,
+          severity: invoice.metadata.severity
         }
       };
 
@@ -826,6 +940,7 @@ export class ComplianceAgent extends EventEmitter {
   // Stop the compliance agent
   public async stop(): Promise<void> {
     this.isActive = false;
+    this.eventStreamController?.abort();
     this.logger.info('Compliance Agent stopped');
   }
 }
\ No newline at end of file
@@ -0,0 +1,94 @@
+import { buildDashboard, DASHBOARD_RANGES, SensorAggregates } from './Dashboard';
+import { Alert, DigitalTwin, Telemetry, TrackingAgent } from './TrackingAgent';
+
+const START = Date.UTC(2024, 0, 1);
+const minutes = (count: number) => new Date(START + count * 60000);
+
+function temperature(minute: number, value: number, humidity?: number): Telemetry {
+  return {
+    shipmentId: 'SHIP-1',
+    deviceId: 'DEV-1',
+    timestamp: minutes(minute),
+    location: { latitude: 52.37, longitude: 4.89 },
+    sensors: { temperature: value, humidity }
+  };
+}
+
+function alert(type: Alert['type'], severity: Alert['severity'], minute: number): Alert {
+  return { id: `${type}-${minute}`, type, severity, message: type, timestamp: minutes(minute), resolved: false };
+}
+
+describe('DASHBOARD_RANGES', () => {
+  it('knows only the configured ranges', () => {
+    expect(Array.from(DASHBOARD_RANGES.keys())).toEqual(['1h', '6h', '24h', '7d', '30d']);
+    expect(DASHBOARD_RANGES.has('constructor')).toBe(false);
+    expect(() => buildDashboard([], 'constructor', new SensorAggregates())).toThrow('Unknown dashboard time range constructor');
+  });
+});
+
+describe('buildDashboard', () => {
+  let agent: TrackingAgent;
+  let sensors: SensorAggregates;
+
+  beforeEach(() => {
+    agent = new TrackingAgent(3);
+    sensors = new SensorAggregates();
+    sensors.attach(agent);
+  });
+
+  afterEach(() => {
+    agent.close();
+  });
+
+  it('counts threshold and compliance alerts but not device health alerts as violations', () => {
+    const twin = {
+      shipmentId: 'SHIP-1',
+      status: 'in_transit',
+      statusHistory: [],
+      telemetryHistory: [],
+      currentLocation: { latitude: 52.37, longitude: 4.89 },
+      lastUpdated: minutes(50),
+      alerts: [
+        alert('temperature', 'high', 10),
+        alert('geofence', 'medium', 20),
+        alert('battery', 'low', 30),
+        alert('offline', 'high', 40),
+        alert('signal', 'low', 45)
+      ]
+    } as unknown as DigitalTwin;
+
+    const dashboard = buildDashboard([twin], '1h', sensors, minutes(60));
+
+    expect(dashboard.violations).toBe(2);
+    expect(dashboard.violationsByType).toEqual({ temperature: 1, geofence: 1 });
+    expect(dashboard.violationsBySeverity).toEqual({ low: 0, medium: 1, high: 1, critical: 0 });
+    expect(dashboard.recentShipments[0].violations).toBe(2);
+  });
+
+  it('averages sensors over every reading in the range, not only the history still kept', () => {
+    [4, 5, 6, 7, 8].forEach((value, i) => agent.updateTelemetry('SHIP-1', temperature(i, value, 60 + i)));
+    expect(agent.getDigitalTwin('SHIP-1')!.telemetryHistory).toHaveLength(3);
+
+    const dashboard = buildDashboard(agent.getAllDigitalTwins(), '1h', sensors, minutes(10));
+
+    expect(dashboard.avgTemperature).toBe(6);
+    expect(dashboard.buckets[dashboard.buckets.length - 2]).toMatchObject({ avgTemperature: 6, avgHumidity: 62 });
+  });
+
+  it('leaves suspect values out until later readings confirm them', () => {
+    agent.updateTelemetry('SHIP-1', temperature(0, 4));
+    agent.updateTelemetry('SHIP-1', temperature(1, 30));
+    expect(buildDashboard(agent.getAllDigitalTwins(), '1h', sensors, minutes(5)).avgTemperature).toBe(4);
+
+    agent.updateTelemetry('SHIP-1', temperature(2, 30));
+    expect(buildDashboard(agent.getAllDigitalTwins(), '1h', sensors, minutes(5)).avgTemperature).toBe(21.3);
+  });
+
+  it('counts the readings twins already hold when attached', () => {
+    [4, 6].forEach((value, i) => agent.updateTelemetry('SHIP-1', temperature(i, value)));
+    const attachedLater = new SensorAggregates();
+    attachedLater.attach(agent);
+
+    expect(buildDashboard(agent.getAllDigitalTwins(), '1h', attachedLater, minutes(5)).avgTemperature).toBe(5);
+  });
+});
@@ -0,0 +1,292 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import type { Alert, DigitalTwin, ShipmentStatus, Telemetry, TrackingAgent } from './TrackingAgent';
+import { isSuspectField } from './DataQuality';
+
+export interface DashboardRange {
+  minutes: number;
+  bucketMinutes: number;
+}
+
+// Time ranges the dashboard can be asked for, with the bucket width each is split into.
+// The payment service's dashboard reads the same file, so both offer the same ranges.
+export const DASHBOARD_RANGES: ReadonlyMap<string, DashboardRange> = new Map(Object.entries(JSON.parse(fs.readFileSync(
+  process.env.DASHBOARD_RANGES_PATH || path.join(__dirname, '../../../../config/dashboard-ranges.json'),
+  'utf8'
+))));
+
+const ACTIVE_STATUSES: ShipmentStatus[] = ['loading', 'in_transit', 'at_hub'];
+
+// Alerts that breach a shipment's thresholds or compliance rules. Device health alerts
+// (battery, signal, offline) are not violations.
+const VIOLATION_TYPES = new Set<Alert['type']>([
+  'temperature', 'humidity', 'vibration', 'shock', 'geofence', 'delay', 'stop', 'door', 'light', 'tamper', 'channel'
+]);
+
+const SLOT_MS = 60000;
+const PRUNE_INTERVAL_MS = 3600000;
+const AGGREGATED_SENSORS = ['temperature', 'humidity'] as const;
+type AggregatedSensor = typeof AGGREGATED_SENSORS[number];
+
+export type SensorSums = Record<AggregatedSensor, { sum: number; count: number }>;
+
+// Fleet-wide per-minute sums of trusted temperature and humidity values, covering the
+// longest dashboard range. They are kept up to date as readings arrive, so a dashboard
+// request reads at most one entry per minute of its range instead of every twin's
+// telemetry history. Values flagged as suspect are added once later readings confirm them.
+export class SensorAggregates {
+  private slots: Map<number, SensorSums>; // keyed by the minute's start time
+  private counted: WeakMap<Telemetry, Set<AggregatedSensor>>; // values already added per reading
+  private retentionMs: number;
+  private newestSlot: number;
+  private prunedAt: number;
+
+  constructor(retentionMinutes: number = Math.max(...Array.from(DASHBOARD_RANGES.values(), range => range.minutes))) {
+    this.slots = new Map();
+    this.counted = new WeakMap();
+    this.retentionMs = retentionMinutes * 60000;
+    this.newestSlot = -Infinity;
+    this.prunedAt = -Infinity;
+  }
+
+  // Count the readings the twins already hold, then follow new and confirmed readings
+  public attach(agent: TrackingAgent): void {
+    agent.getAllDigitalTwins().forEach(twin => twin.telemetryHistory.forEach(reading => this.add(reading)));
+    agent.on('digital-twin:updated', (data: { telemetry: Telemetry; confirmed?: Telemetry[] }) => {
+      [data.telemetry, ...(data.confirmed || [])].forEach(reading => this.add(reading));
+    });
+  }
+
+  // Add the trusted values of a reading that are not counted yet
+  public add(telemetry: Telemetry): void {
+    const at = time(telemetry.timestamp);
+    const slotStart = at - (at % SLOT_MS);
+    if (slotStart < this.newestSlot - this.retentionMs) {
+      return;
+    }
+
+    const counted = this.counted.get(telemetry) || new Set<AggregatedSensor>();
+    AGGREGATED_SENSORS.forEach(sensor => {
+      const value = telemetry.sensors?.[sensor];
+      if (value === undefined || counted.has(sensor) || isSuspectField(telemetry, sensor)) return;
+
+      let slot = this.slots.get(slotStart);
+      if (!slot) {
+        slot = { temperature: { sum: 0, count: 0 }, humidity: { sum: 0, count: 0 } };
+        this.slots.set(slotStart, slot);
+      }
+      slot[sensor].sum += value;
+      slot[sensor].count++;
+      counted.add(sensor);
+    });
+    this.counted.set(telemetry, counted);
+
+    if (slotStart > this.newestSlot) {
+      this.newestSlot = slotStart;
+      if (slotStart - this.prunedAt >= PRUNE_INTERVAL_MS) {
+        this.prune();
+      }
+    }
+  }
+
+  // Sums per minute that starts within from..to (epoch ms)
+  public forEach(from: number, to: number, visit: (at: number, sums: SensorSums) => void): void {
+    this.slots.forEach((sums, at) => {
+      if (at >= from && at <= to) {
+        visit(at, sums);
+      }
+    });
+  }
+
+  private prune(): void {
+    const cutoff = this.newestSlot - this.retentionMs;
+    this.slots.forEach((_sums, at) => {
+      if (at < cutoff) {
+        this.slots.delete(at);
+      }
+    });
+    this.prunedAt = this.newestSlot;
+  }
+}
+
+export interface DashboardBucket {
+  start: Date;
+  end: Date;
+  violations: number; // alerts opened in the bucket
+  delivered: number;
+  onTime: number;
+  late: number;
+  excursionMinutes: number; // temperature excursions that started in the bucket
+  avgTemperature?: number; // over trusted readings; unset when there were none
+  avgHumidity?: number;
+}
+
+export interface DashboardShipment {
+  id: string;
+  route?: string;
+  status: ShipmentStatus;
+  temperature?: number;
+  humidity?: number;
+  location: { latitude: number; longitude: number };
+  eta?: Date;
+  violations: number; // open alerts
+  lastUpdated: Date;
+}
+
+export interface TrackingDashboard {
+  timeRange: string;
+  from: Date;
+  to: Date;
+  bucketMinutes: number;
+  totalShipments: number;
+  activeShipments: number;
+  deliveredToday: number; // since midnight UTC
+  violations: number;
+  violationsByType: Record<string, number>;
+  violationsBySeverity: Record<Alert['severity'], number>;
+  onTimeRate: number | null; // percent of deliveries in the range with a planned ETA; null without any
+  avgExcursionMinutes: number | null; // per temperature excursion in the range
+  avgTemperature: number | null;
+  buckets: DashboardBucket[];
+  recentShipments: DashboardShipment[];
+}
+
+function time(value: Date | string): number {
+  return new Date(value).getTime();
+}
+
+function round(value: number): number {
+  return Math.round(value * 10) / 10;
+}
+
+function deliveredAt(twin: DigitalTwin): Date | undefined {
+  return twin.statusHistory.find(transition => transition.to === 'delivered')?.at;
+}
+
+// Minutes a temperature alert's condition lasted: the excursion when time limits are
+// set, otherwise first to last reading beyond the threshold
+function excursionMinutes(alert: Alert): number {
+  return alert.excursion?.durationMinutes ?? alert.durationMinutes ?? 0;
+}
+
+// Fleet-wide KPIs over the last timeRange, split into equal buckets (oldest first).
+// Sensor averages come from the aggregates, to the minute.
+export function buildDashboard(
+  twins: DigitalTwin[],
+  timeRange: string,
+  sensors: SensorAggregates,
+  now: Date = new Date()
+): TrackingDashboard {
+  const range = DASHBOARD_RANGES.get(timeRange);
+  if (!range) {
+    throw new Error(`Unknown dashboard time range ${timeRange}`);
+  }
+  const bucketMs = range.bucketMinutes * 60000;
+  const to = now.getTime();
+  const from = to - range.minutes * 60000;
+  const midnight = new Date(now);
+  midnight.setUTCHours(0, 0, 0, 0);
+
+  const buckets = Array.from({ length: range.minutes / range.bucketMinutes }, (_, i) => ({
+    start: new Date(from + i * bucketMs),
+    end: new Date(from + (i + 1) * bucketMs),
+    violations: 0,
+    delivered: 0,
+    onTime: 0,
+    late: 0,
+    excursionMinutes: 0,
+    temperatureSum: 0,
+    temperatureCount: 0,
+    humiditySum: 0,
+    humidityCount: 0
+  }));
+  const bucketAt = (at: number) =>
+    at >= from && at <= to ? buckets[Math.min(Math.floor((at - from) / bucketMs), buckets.length - 1)] : undefined;
+
+  const violationsByType: Record<string, number> = {};
+  const violationsBySeverity: Record<Alert['severity'], number> = { low: 0, medium: 0, high: 0, critical: 0 };
+  const excursions: number[] = [];
+  let deliveredToday = 0;
+
+  twins.forEach(twin => {
+    twin.alerts.forEach(alert => {
+      const bucket = VIOLATION_TYPES.has(alert.type) ? bucketAt(time(alert.firstSeenAt || alert.timestamp)) : undefined;
+      if (!bucket) return;
+
+      bucket.violations++;
+      violationsByType[alert.type] = (violationsByType[alert.type] || 0) + 1;
+      violationsBySeverity[alert.severity]++;
+      if (alert.type === 'temperature') {
+        bucket.excursionMinutes += excursionMinutes(alert);
+        excursions.push(excursionMinutes(alert));
+      }
+    });
+
+    const delivered = deliveredAt(twin);
+    if (delivered) {
+      if (time(delivered) >= midnight.getTime() && time(delivered) <= to) {
+        deliveredToday++;
+      }
+      const bucket = bucketAt(time(delivered));
+      if (bucket) {
+        bucket.delivered++;
+        if (twin.plannedEta) {
+          if (time(delivered) <= time(twin.plannedEta)) {
+            bucket.onTime++;
+          } else {
+            bucket.late++;
+          }
+        }
+      }
+    }
+  });
+
+  sensors.forEach(from, to, (at, sums) => {
+    const bucket = bucketAt(at)!;
+    bucket.temperatureSum += sums.temperature.sum;
+    bucket.temperatureCount += sums.temperature.count;
+    bucket.humiditySum += sums.humidity.sum;
+    bucket.humidityCount += sums.humidity.count;
+  });
+
+  const sum = (pick: (bucket: typeof buckets[number]) => number) => buckets.reduce((total, bucket) => total + pick(bucket), 0);
+  const onTime = sum(bucket => bucket.onTime);
+  const withEta = onTime + sum(bucket => bucket.late);
+  const temperatureCount = sum(bucket => bucket.temperatureCount);
+
+  return {
+    timeRange,
+    from: new Date(from),
+    to: now,
+    bucketMinutes: range.bucketMinutes,
+    totalShipments: twins.length,
+    activeShipments: twins.filter(twin => ACTIVE_STATUSES.includes(twin.status)).length,
+    deliveredToday,
+    violations: sum(bucket => bucket.violations),
+    violationsByType,
+    violationsBySeverity,
+    onTimeRate: withEta ? round(onTime / withEta * 100) : null,
+    avgExcursionMinutes: excursions.length ? round(excursions.reduce((total, minutes) => total + minutes, 0) / excursions.length) : null,
+    avgTemperature: temperatureCount ? round(sum(bucket => bucket.temperatureSum) / temperatureCount) : null,
+    buckets: buckets.map(({ temperatureSum, temperatureCount: count, humiditySum, humidityCount, ...bucket }) => ({
+      ...bucket,
+      excursionMinutes: round(bucket.excursionMinutes),
+      avgTemperature: count ? round(temperatureSum / count) : undefined,
+      avgHumidity: humidityCount ? round(humiditySum / humidityCount) : undefined
+    })),
+    recentShipments: [...twins]
+      .sort((a, b) => time(b.lastUpdated) - time(a.lastUpdated))
+      .slice(0, 10)
+      .map(twin => ({
+        id: twin.shipmentId,
+        route: twin.origin?.name && twin.destination?.name ? `${twin.origin.name} → ${twin.destination.name}` : undefined,
+        status: twin.status,
+        temperature: twin.currentSensors?.temperature,
+        humidity: twin.currentSensors?.humidity,
+        location: { latitude: twin.currentLocation.latitude, longitude: twin.currentLocation.longitude },
+        eta: twin.eta?.estimatedArrival,
+        violations: twin.alerts.filter(alert => !alert.resolved && VIOLATION_TYPES.has(alert.type)).length,
+        lastUpdated: twin.lastUpdated
+      }))
+  };
+}
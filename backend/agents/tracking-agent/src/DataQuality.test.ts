@@ -0,0 +1,70 @@
+import { assessTelemetry, isSuspectField, withoutSuspectFields, QualityLimits } from './DataQuality';
+import { Telemetry } from './TrackingAgent';
+
+const LIMITS: QualityLimits = { maxSpeedKmh: 250, anomalyZScore: 4, anomalyWindow: 30, confirmSamples: 2 };
+
+function reading(minute: number, sensors: Telemetry['sensors'], latitude: number = 52.37): Telemetry {
+  return {
+    shipmentId: 'SHIP-1',
+    deviceId: 'DEV-1',
+    timestamp: new Date(Date.UTC(2024, 0, 1, 0, minute)),
+    location: { latitude, longitude: 4.89 },
+    sensors
+  };
+}
+
+// Assess readings in order, as the agent does, and return them with their quality
+function assessAll(readings: Telemetry[]): Telemetry[] {
+  readings.forEach((telemetry, i) => {
+    telemetry.quality = assessTelemetry(telemetry, readings.slice(0, i), LIMITS);
+  });
+  return readings;
+}
+
+describe('assessTelemetry', () => {
+  it('keeps physically impossible values suspect however often they repeat', () => {
+    const [, first, second] = assessAll([reading(0, { temperature: 4 }), reading(1, { temperature: 150 }), reading(2, { temperature: 150 })]);
+
+    [first, second].forEach(telemetry => {
+      expect(telemetry.quality).toMatchObject({ suspect: true, findings: [{ field: 'temperature', issue: 'implausible', direction: 'above' }] });
+    });
+  });
+
+  it('flags a single jump and confirms a change the next reading repeats', () => {
+    const spike = assessAll([reading(0, { temperature: 4 }), reading(1, { temperature: 20 }), reading(2, { temperature: 4.5 })]);
+    expect(spike[1].quality).toMatchObject({ suspect: true, findings: [{ issue: 'rate-of-change', direction: 'above' }] });
+    expect(spike[2].quality!.suspect).toBe(false);
+
+    const step = assessAll([reading(0, { temperature: 4 }), reading(1, { temperature: 20 }), reading(2, { temperature: 20.5 })]);
+    expect(step[2].quality!.findings[0]).toMatchObject({ issue: 'rate-of-change', confirmed: true });
+    expect(step[1].quality!.suspect).toBe(false);
+    expect(isSuspectField(step[1], 'temperature')).toBe(false);
+  });
+
+  it('scores anomalies against the trusted baseline once it is long enough', () => {
+    const readings = assessAll([
+      ...[4, 4.2, 3.9, 4.1, 4].map((value, i) => reading(i * 10, { temperature: value })),
+      reading(50, { temperature: 9 })
+    ]);
+
+    expect(readings[4].quality!.anomalyScore).toBeLessThan(1);
+    expect(readings[5].quality).toMatchObject({ suspect: true, findings: [{ field: 'temperature', issue: 'anomaly', direction: 'above' }] });
+    expect(readings[5].quality!.anomalyScore).toBeGreaterThan(LIMITS.anomalyZScore);
+  });
+
+  it('flags positions that imply an impossible speed', () => {
+    const [, jumped] = assessAll([reading(0, {}), reading(1, {}, 53.37)]);
+
+    expect(jumped.quality!.findings).toEqual([expect.objectContaining({ field: 'location', issue: 'gps-jump' })]);
+    expect(isSuspectField(jumped, 'location')).toBe(true);
+  });
+});
+
+describe('withoutSuspectFields', () => {
+  it('drops only the suspect sensor values', () => {
+    const [, suspect] = assessAll([reading(0, { temperature: 4, humidity: 60 }), reading(1, { temperature: 150, humidity: 61 })]);
+
+    expect(withoutSuspectFields(suspect).sensors).toEqual({ humidity: 61 });
+    expect(suspect.sensors).toEqual({ temperature: 150, humidity: 61 });
+  });
+});
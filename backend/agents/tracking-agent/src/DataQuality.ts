@@ -0,0 +1,213 @@
+import type { Telemetry } from './TrackingAgent';
+
+export type QualityIssue = 'implausible' | 'rate-of-change' | 'gps-jump' | 'anomaly';
+
+export interface QualityFinding {
+  field: string; // telemetry field, or 'location' for GPS jumps
+  issue: QualityIssue;
+  value: number; // the reading's value; implied speed in km/h for GPS jumps
+  direction?: 'above' | 'below'; // which way the value moved from the device's recent readings
+  detail: string;
+  confirmed?: boolean; // later readings showed the same change, so it is real
+}
+
+// Data-quality result stored with each reading, set on ingestion
+export interface TelemetryQuality {
+  suspect: boolean; // has unconfirmed findings; alerts are not raised from the suspect fields
+  findings: QualityFinding[];
+  anomalyScore: number; // highest rolling z-score over the scored fields
+  assessedAt: Date;
+}
+
+export interface QualityLimits {
+  maxSpeedKmh: number; // implied speed between two fixes beyond which a position is a GPS jump
+  anomalyZScore: number; // z-score beyond which a value is anomalous
+  anomalyWindow: number; // trusted readings the rolling mean and deviation are taken over
+  confirmSamples: number; // consecutive readings with the same finding that make it real
+}
+
+// Physical limits per field. maxRatePerMinute is the largest believable change per
+// minute; fields with minStdDev are scored for anomalies, the deviation being floored
+// there so a perfectly steady series does not turn every small change into an anomaly.
+const FIELD_LIMITS: Record<string, {
+  get: (telemetry: Telemetry) => number | undefined;
+  min: number;
+  max: number;
+  maxRatePerMinute?: number;
+  minStdDev?: number;
+}> = {
+  temperature: { get: t => t.sensors?.temperature, min: -80, max: 100, maxRatePerMinute: 5, minStdDev: 0.5 },
+  humidity: { get: t => t.sensors?.humidity, min: 0, max: 100, maxRatePerMinute: 20, minStdDev: 2 },
+  vibration: { get: t => t.sensors?.vibration, min: 0, max: 50 },
+  shock: { get: t => t.sensors?.shock, min: 0, max: 200 },
+  light: { get: t => t.sensors?.light, min: 0, max: 200000 },
+  battery: { get: t => t.battery, min: 0, max: 100, maxRatePerMinute: 10, minStdDev: 1 }
+};
+
+// Readings needed before anomaly scoring starts
+const MIN_BASELINE_SIZE = 5;
+
+function time(telemetry: Telemetry): number {
+  return new Date(telemetry.timestamp).getTime();
+}
+
+function distanceMeters(from: Telemetry['location'], to: Telemetry['location']): number {
+  const toRadians = (degrees: number) => degrees * (Math.PI / 180);
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Speed in km/h needed to get from one fix to the next, allowing for both fixes' accuracy
+function impliedSpeedKmh(from: Telemetry, to: Telemetry): number {
+  const meters = Math.max(0,
+    distanceMeters(from.location, to.location) - (from.location.accuracy || 0) - (to.location.accuracy || 0)
+  );
+  const hours = Math.abs(time(to) - time(from)) / 3600000;
+  if (hours === 0) {
+    return meters > 0 ? Infinity : 0;
+  }
+  return meters / 1000 / hours;
+}
+
+// Whether a field of a reading has an unconfirmed finding
+export function isSuspectField(telemetry: Telemetry, field: string): boolean {
+  return !!telemetry.quality?.findings.some(finding => finding.field === field && !finding.confirmed);
+}
+
+// Copy of a reading without its suspect values, for rule evaluation
+export function withoutSuspectFields(telemetry: Telemetry): Telemetry {
+  if (!telemetry.quality?.suspect) {
+    return telemetry;
+  }
+
+  const screened: Telemetry = { ...telemetry, sensors: { ...telemetry.sensors } };
+  telemetry.quality.findings
+    .filter(finding => !finding.confirmed)
+    .forEach(finding => {
+      if (finding.field === 'battery') {
+        delete screened.battery;
+      } else if (finding.field in screened.sensors!) {
+        delete (screened.sensors as Record<string, unknown>)[finding.field];
+      }
+    });
+  return screened;
+}
+
+// Check a reading against earlier readings from the same device (oldest first).
+// Findings repeated by enough consecutive readings are confirmed, on this reading
+// and on the earlier ones it repeats.
+export function assessTelemetry(telemetry: Telemetry, previous: Telemetry[], limits: QualityLimits): TelemetryQuality {
+  const findings: QualityFinding[] = [];
+  let anomalyScore = 0;
+
+  Object.entries(FIELD_LIMITS).forEach(([field, spec]) => {
+    const value = spec.get(telemetry);
+    if (value === undefined) return;
+
+    if (value < spec.min || value > spec.max) {
+      findings.push({
+        field,
+        issue: 'implausible',
+        value,
+        direction: value < spec.min ? 'below' : 'above',
+        detail: `${value} is outside the physically possible range ${spec.min} to ${spec.max}`
+      });
+      return;
+    }
+
+    const baseline = previous
+      .filter(reading => spec.get(reading) !== undefined && !isSuspectField(reading, field))
+      .slice(-limits.anomalyWindow);
+    const last = baseline[baseline.length - 1];
+    let finding: QualityFinding | undefined;
+
+    if (last && spec.maxRatePerMinute !== undefined) {
+      const minutes = (time(telemetry) - time(last)) / 60000;
+      const change = value - spec.get(last)!;
+      // Short intervals are judged as one minute, so sensor noise is not read as a jump
+      const allowed = spec.maxRatePerMinute * Math.max(minutes, 1);
+      if (Math.abs(change) > allowed) {
+        finding = {
+          field,
+          issue: 'rate-of-change',
+          value,
+          direction: change > 0 ? 'above' : 'below',
+          detail: `Changed by ${change.toFixed(1)} in ${minutes.toFixed(1)} minutes (at most ${spec.maxRatePerMinute} per minute)`
+        };
+      }
+    }
+
+    if (spec.minStdDev !== undefined && baseline.length >= MIN_BASELINE_SIZE) {
+      const values = baseline.map(reading => spec.get(reading)!);
+      const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+      const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+      const z = (value - mean) / Math.max(Math.sqrt(variance), spec.minStdDev);
+      anomalyScore = Math.max(anomalyScore, Math.abs(z));
+
+      if (!finding && Math.abs(z) > limits.anomalyZScore) {
+        finding = {
+          field,
+          issue: 'anomaly',
+          value,
+          direction: z > 0 ? 'above' : 'below',
+          detail: `z-score ${z.toFixed(1)} against the last ${values.length} readings (mean ${mean.toFixed(1)})`
+        };
+      }
+    }
+
+    if (finding) {
+      findings.push(finding);
+    }
+  });
+
+  // GPS jump: compared with the last trusted fix
+  const lastFix = [...previous].reverse().find(reading => !isSuspectField(reading, 'location'));
+  if (lastFix) {
+    const speed = impliedSpeedKmh(lastFix, telemetry);
+    if (speed > limits.maxSpeedKmh) {
+      const km = distanceMeters(lastFix.location, telemetry.location) / 1000;
+      findings.push({
+        field: 'location',
+        issue: 'gps-jump',
+        value: Number.isFinite(speed) ? Math.round(speed) : speed,
+        detail: `Moved ${km.toFixed(1)} km since the previous fix, implying ${Number.isFinite(speed) ? Math.round(speed) : '∞'} km/h (at most ${limits.maxSpeedKmh} km/h)`
+      });
+    }
+  }
+
+  // Confirm findings the preceding readings already showed. Implausible values stay suspect.
+  findings
+    .filter(finding => finding.issue !== 'implausible')
+    .forEach(finding => {
+      const streak: QualityFinding[] = [];
+      for (let i = previous.length - 1; i >= 0; i--) {
+        const earlier = previous[i].quality?.findings.find(candidate =>
+          candidate.field === finding.field && candidate.issue !== 'implausible' && candidate.direction === finding.direction
+        );
+        // A repeated GPS jump only counts if this fix is consistent with the jumped-to position
+        const consistent = finding.field !== 'location' || i < previous.length - 1 ||
+          impliedSpeedKmh(previous[i], telemetry) <= limits.maxSpeedKmh;
+        if (!earlier || !consistent) break;
+        streak.push(earlier);
+      }
+
+      if (streak.length + 1 >= limits.confirmSamples) {
+        [finding, ...streak].forEach(confirmed => {
+          confirmed.confirmed = true;
+        });
+        previous.slice(previous.length - streak.length).forEach(reading => {
+          reading.quality!.suspect = reading.quality!.findings.some(earlier => !earlier.confirmed);
+        });
+      }
+    });
+
+  return {
+    suspect: findings.some(finding => !finding.confirmed),
+    findings,
+    anomalyScore: Math.round(anomalyScore * 100) / 100,
+    assessedAt: new Date()
+  };
+}
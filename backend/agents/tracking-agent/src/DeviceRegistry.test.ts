@@ -0,0 +1,104 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { DeviceRegistry } from './DeviceRegistry';
+import { Telemetry } from './TrackingAgent';
+
+function reading(minute: number, overrides: Partial<Telemetry> = {}): Telemetry {
+  return {
+    shipmentId: 'SHIP-1',
+    deviceId: 'DEV-1',
+    timestamp: new Date(Date.UTC(2024, 0, 1, 0, minute)),
+    location: { latitude: 52.37, longitude: 4.89 },
+    ...overrides
+  };
+}
+
+describe('DeviceRegistry', () => {
+  let dir: string;
+  let filePath: string;
+  let warnings: string[];
+  const logger = { warn: (message: string) => warnings.push(message) };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'device-registry-'));
+    filePath = path.join(dir, 'devices.json');
+    warnings = [];
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('checks readings against the binding in force at their timestamp', () => {
+    const registry = new DeviceRegistry();
+    expect(registry.checkTelemetry(reading(0))).toBe('unknown-device');
+
+    registry.register({ deviceId: 'DEV-1', type: 'logger' });
+    registry.bind('DEV-1', 'SHIP-1', new Date(Date.UTC(2024, 0, 1, 0, 10)));
+    registry.unbind('DEV-1', new Date(Date.UTC(2024, 0, 1, 0, 20)));
+
+    expect(registry.checkTelemetry(reading(5))).toBe('not-bound');
+    expect(registry.checkTelemetry(reading(15))).toBeUndefined();
+    expect(registry.checkTelemetry(reading(25))).toBe('not-bound');
+    expect(() => registry.bind('DEV-1', 'SHIP-2', new Date(Date.UTC(2024, 0, 1, 0, 15)))).toThrow(/before the device was last unbound/);
+  });
+
+  it('reports sensors outside the declared capabilities and keeps them across updates', () => {
+    const registry = new DeviceRegistry();
+    registry.register({ deviceId: 'DEV-1', type: 'logger', capabilities: ['temperature'] });
+    registry.register({ deviceId: 'DEV-1', type: 'logger', firmware: '2.0' });
+
+    expect(registry.get('DEV-1')!.capabilities).toEqual(['temperature']);
+    expect(registry.checkCapabilities(reading(0, { sensors: { temperature: 4 } }))).toEqual([]);
+    expect(registry.checkCapabilities(reading(0, { sensors: { temperature: 4, shock: 2 } }))).toEqual([
+      'Sensor shock is not a capability of device DEV-1 (temperature)'
+    ]);
+  });
+
+  it('keeps only the most recent quarantined readings', () => {
+    const registry = new DeviceRegistry({ maxQuarantineSize: 2 });
+    [0, 1, 2].forEach(minute => registry.quarantineTelemetry(reading(minute), 'unknown-device'));
+
+    expect(registry.getQuarantine().map(entry => entry.telemetry.timestamp)).toEqual([reading(1).timestamp, reading(2).timestamp]);
+    expect(registry.getQuarantine({ shipmentId: 'SHIP-2' })).toEqual([]);
+  });
+
+  it('saves devices, bindings and quarantined readings', () => {
+    const registry = new DeviceRegistry({ filePath, logger });
+    registry.register({ deviceId: 'DEV-1', type: 'logger' });
+    registry.bind('DEV-1', 'SHIP-1', new Date(Date.UTC(2024, 0, 1)));
+    registry.quarantineTelemetry(reading(0, { deviceId: 'DEV-9' }), 'unknown-device');
+
+    const reloaded = new DeviceRegistry({ filePath, logger });
+    expect(reloaded.get('DEV-1')!.bindings).toEqual([{ shipmentId: 'SHIP-1', boundAt: new Date(Date.UTC(2024, 0, 1)) }]);
+    expect(reloaded.getQuarantine()).toEqual([
+      expect.objectContaining({ reason: 'unknown-device', telemetry: reading(0, { deviceId: 'DEV-9' }) })
+    ]);
+    expect(warnings).toEqual([]);
+  });
+
+  it('falls back to the backup when the snapshot cannot be read', () => {
+    const registry = new DeviceRegistry({ filePath, logger });
+    registry.register({ deviceId: 'DEV-1', type: 'logger' });
+    registry.register({ deviceId: 'DEV-2', type: 'logger' });
+    fs.writeFileSync(filePath, '{"devices": [');
+
+    const reloaded = new DeviceRegistry({ filePath, logger });
+    expect(reloaded.getAll().map(device => device.deviceId)).toEqual(['DEV-1']);
+    expect(warnings).toEqual(['Device registry file could not be read', 'Device registry restored from backup']);
+    expect(fs.readFileSync(`${filePath}.corrupt`, 'utf8')).toBe('{"devices": [');
+
+    // The next save must not rotate the unreadable file over the good backup
+    reloaded.register({ deviceId: 'DEV-3', type: 'logger' });
+    expect(JSON.parse(fs.readFileSync(`${filePath}.bak`, 'utf8')).devices).toHaveLength(1);
+  });
+
+  it('starts empty when neither the snapshot nor a backup can be read', () => {
+    fs.writeFileSync(filePath, 'not json');
+
+    const registry = new DeviceRegistry({ filePath, logger });
+    expect(registry.getAll()).toEqual([]);
+    expect(warnings).toEqual(['Device registry file could not be read', 'Device registry starting empty']);
+  });
+});
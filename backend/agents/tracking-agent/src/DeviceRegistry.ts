@@ -0,0 +1,354 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { TELEMETRY_FIELDS } from './TrackingAgent';
+import type { Telemetry } from './TrackingAgent';
+
+export interface DeviceBinding {
+  shipmentId: string;
+  boundAt: Date;
+  unboundAt?: Date;
+}
+
+// Keys used to verify signed telemetry; the HMAC secret is never returned by the API
+export interface DeviceCredentials {
+  hmacSecret?: string;
+  publicKey?: string; // Ed25519 public key, PEM (SPKI)
+}
+
+export interface Device {
+  deviceId: string;
+  type: string;
+  firmware?: string;
+  capabilities: string[]; // built-in sensors the device reports, e.g. 'temperature', 'shock'; empty when not declared
+  credentials?: DeviceCredentials;
+  registeredAt: Date;
+  updatedAt: Date;
+  bindings: DeviceBinding[]; // oldest first; at most one without unboundAt
+}
+
+export type DeviceRegistration = Pick<Device, 'deviceId' | 'type' | 'firmware' | 'credentials'> & Partial<Pick<Device, 'capabilities'>>;
+
+// Custom numeric sensor channel (CO2, ethylene, pressure, ...) reported in telemetry.channels
+export interface SensorChannel {
+  name: string;
+  unit: string; // e.g. 'ppm', 'kPa'
+  min?: number; // valid range of the sensor; readings outside it are rejected
+  max?: number;
+  description?: string;
+}
+
+// Channels every device of a type reports, so new sensors need no code changes
+export interface DeviceType {
+  type: string;
+  description?: string;
+  channels: SensorChannel[];
+  updatedAt: Date;
+}
+
+export type DeviceTypeRegistration = Omit<DeviceType, 'updatedAt'>;
+
+// Channel names double as CSV columns and GPX element names
+export const CHANNEL_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Device as exposed over the API: credentials reduced to which keys are configured
+export function publicDevice(device: Device): Omit<Device, 'credentials'> & { credentials: { hmacSecret: boolean; publicKey?: string } } {
+  const { credentials, ...rest } = device;
+  return {
+    ...rest,
+    credentials: { hmacSecret: !!credentials?.hmacSecret, publicKey: credentials?.publicKey }
+  };
+}
+
+// off: accept everything; quarantine: hold back rejected readings for review; reject: drop them
+export type DevicePolicy = 'off' | 'quarantine' | 'reject';
+
+export type RejectionReason = 'unknown-device' | 'not-bound';
+
+export interface QuarantinedTelemetry {
+  telemetry: Telemetry;
+  reason: RejectionReason;
+  quarantinedAt: Date;
+}
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+interface RegistrySnapshot {
+  devices: Device[];
+  deviceTypes: DeviceType[];
+  quarantine?: QuarantinedTelemetry[]; // missing in files written before quarantine was saved
+}
+
+export interface RegistryLogger {
+  warn(message: string, meta?: Record<string, unknown>): void;
+}
+
+// Registered tracking devices, their device types, the shipments they were attached
+// to over time and the quarantined readings. With a file path the registry is written
+// to disk as a JSON snapshot on every change; the previous snapshot is kept as
+// <file>.bak and used when the current one cannot be read.
+export class DeviceRegistry {
+  private devices: Map<string, Device>;
+  private deviceTypes: Map<string, DeviceType>;
+  private quarantine: QuarantinedTelemetry[];
+  private maxQuarantineSize: number;
+  private filePath?: string;
+  private logger?: RegistryLogger;
+
+  constructor(options: { filePath?: string; maxQuarantineSize?: number; logger?: RegistryLogger } = {}) {
+    this.devices = new Map();
+    this.deviceTypes = new Map();
+    this.quarantine = [];
+    this.maxQuarantineSize = options.maxQuarantineSize || 1000;
+    this.filePath = options.filePath;
+    this.logger = options.logger;
+    this.load();
+  }
+
+  // Register a new device, or update the type/firmware/capabilities/credentials of a known
+  // one. Capabilities left out of an update are kept.
+  public register(registration: DeviceRegistration): Device {
+    const now = new Date();
+    const existing = this.devices.get(registration.deviceId);
+    const capabilities = registration.capabilities ?? existing?.capabilities ?? [];
+    const device: Device = existing
+      ? { ...existing, ...registration, capabilities, updatedAt: now }
+      : { ...registration, capabilities, registeredAt: now, updatedAt: now, bindings: [] };
+
+    this.devices.set(device.deviceId, device);
+    this.persist();
+    return device;
+  }
+
+  public get(deviceId: string): Device | undefined {
+    return this.devices.get(deviceId);
+  }
+
+  public getAll(): Device[] {
+    return Array.from(this.devices.values());
+  }
+
+  // Declare or replace the channels reported by a device type
+  public registerDeviceType(registration: DeviceTypeRegistration): DeviceType {
+    const names = new Set<string>();
+    registration.channels.forEach(channel => {
+      if (!CHANNEL_NAME_PATTERN.test(channel.name)) {
+        throw new Error(`Channel name ${channel.name} must match ${CHANNEL_NAME_PATTERN}`);
+      }
+      if (TELEMETRY_FIELDS[channel.name]) {
+        throw new Error(`Channel name ${channel.name} is a built-in telemetry field`);
+      }
+      if (names.has(channel.name)) {
+        throw new Error(`Channel ${channel.name} is declared more than once`);
+      }
+      if (channel.min !== undefined && channel.max !== undefined && channel.min >= channel.max) {
+        throw new Error(`Channel ${channel.name} min (${channel.min}) must be below max (${channel.max})`);
+      }
+      names.add(channel.name);
+    });
+
+    const deviceType: DeviceType = { ...registration, updatedAt: new Date() };
+    this.deviceTypes.set(deviceType.type, deviceType);
+    this.persist();
+    return deviceType;
+  }
+
+  public getDeviceType(type: string): DeviceType | undefined {
+    return this.deviceTypes.get(type);
+  }
+
+  public getDeviceTypes(): DeviceType[] {
+    return Array.from(this.deviceTypes.values());
+  }
+
+  // Built-in sensors in a reading that its device has not declared among its capabilities
+  public checkCapabilities(telemetry: Telemetry): string[] {
+    const device = this.devices.get(telemetry.deviceId);
+    if (!device || device.capabilities.length === 0) {
+      return [];
+    }
+
+    return Object.keys(telemetry.sensors || {})
+      .filter(sensor => !device.capabilities.includes(sensor))
+      .map(sensor => `Sensor ${sensor} is not a capability of device ${device.deviceId} (${device.capabilities.join(', ')})`);
+  }
+
+  // Problems with a reading's custom channels, checked against its device type's declarations
+  public checkChannels(telemetry: Telemetry): string[] {
+    const names = Object.keys(telemetry.channels || {});
+    if (names.length === 0) {
+      return [];
+    }
+
+    const device = this.devices.get(telemetry.deviceId);
+    if (!device) {
+      return [`Device ${telemetry.deviceId} is not registered, so its channels (${names.join(', ')}) cannot be checked`];
+    }
+
+    const declared = new Map((this.deviceTypes.get(device.type)?.channels || []).map(channel => [channel.name, channel]));
+    return names.flatMap(name => {
+      const value = telemetry.channels![name];
+      const channel = declared.get(name);
+      if (!channel) {
+        return [`Channel ${name} is not declared for device type ${device.type}`];
+      }
+      if ((channel.min !== undefined && value < channel.min) || (channel.max !== undefined && value > channel.max)) {
+        return [`Channel ${name} value ${value} ${channel.unit} is outside the valid range ${channel.min ?? '-∞'} to ${channel.max ?? '∞'}`];
+      }
+      return [];
+    });
+  }
+
+  // Devices bound to a shipment at the given time (now by default)
+  public getDevicesForShipment(shipmentId: string, at: Date = new Date()): Device[] {
+    return this.getAll().filter(device => this.findBinding(device, at)?.shipmentId === shipmentId);
+  }
+
+  // Attach a device to a shipment. A device can only be bound to one shipment at a time.
+  public bind(deviceId: string, shipmentId: string, at: Date = new Date()): Device {
+    const device = this.devices.get(deviceId);
+    if (!device) {
+      throw new Error(`Device ${deviceId} is not registered`);
+    }
+
+    const current = this.currentBinding(device);
+    if (current) {
+      if (current.shipmentId === shipmentId) {
+        return device;
+      }
+      throw new Error(`Device ${deviceId} is already bound to shipment ${current.shipmentId}`);
+    }
+
+    const last = device.bindings[device.bindings.length - 1];
+    if (last?.unboundAt && at < new Date(last.unboundAt)) {
+      throw new Error(`Binding time ${at.toISOString()} is before the device was last unbound`);
+    }
+
+    device.bindings.push({ shipmentId, boundAt: at });
+    device.updatedAt = new Date();
+    this.persist();
+    return device;
+  }
+
+  public unbind(deviceId: string, at: Date = new Date()): Device {
+    const device = this.devices.get(deviceId);
+    if (!device) {
+      throw new Error(`Device ${deviceId} is not registered`);
+    }
+
+    const current = this.currentBinding(device);
+    if (!current) {
+      throw new Error(`Device ${deviceId} is not bound to a shipment`);
+    }
+    if (at < new Date(current.boundAt)) {
+      throw new Error(`Unbinding time ${at.toISOString()} is before the device was bound`);
+    }
+
+    current.unboundAt = at;
+    device.updatedAt = new Date();
+    this.persist();
+    return device;
+  }
+
+  // Why a reading should not be applied, if at all. Bindings are checked at the
+  // reading's own timestamp so buffered uploads after an unbind still count.
+  public checkTelemetry(telemetry: Telemetry): RejectionReason | undefined {
+    const device = this.devices.get(telemetry.deviceId);
+    if (!device) {
+      return 'unknown-device';
+    }
+    if (this.findBinding(device, new Date(telemetry.timestamp))?.shipmentId !== telemetry.shipmentId) {
+      return 'not-bound';
+    }
+    return undefined;
+  }
+
+  public quarantineTelemetry(telemetry: Telemetry, reason: RejectionReason): void {
+    this.quarantine.push({ telemetry, reason, quarantinedAt: new Date() });
+    if (this.quarantine.length > this.maxQuarantineSize) {
+      this.quarantine.shift();
+    }
+    this.persist();
+  }
+
+  public getQuarantine(filter: { shipmentId?: string; deviceId?: string } = {}): QuarantinedTelemetry[] {
+    return this.quarantine.filter(entry =>
+      (!filter.shipmentId || entry.telemetry.shipmentId === filter.shipmentId) &&
+      (!filter.deviceId || entry.telemetry.deviceId === filter.deviceId)
+    );
+  }
+
+  private currentBinding(device: Device): DeviceBinding | undefined {
+    const last = device.bindings[device.bindings.length - 1];
+    return last && !last.unboundAt ? last : undefined;
+  }
+
+  private findBinding(device: Device, at: Date): DeviceBinding | undefined {
+    return device.bindings.find(binding =>
+      new Date(binding.boundAt) <= at && (!binding.unboundAt || at < new Date(binding.unboundAt))
+    );
+  }
+
+  // Load the snapshot, falling back to the backup. An unreadable snapshot is moved to
+  // <file>.corrupt so the next save cannot rotate it over the backup; with neither
+  // readable the registry starts empty.
+  private load(): void {
+    if (!this.filePath) {
+      return;
+    }
+
+    const candidates = [this.filePath, `${this.filePath}.bak`].filter(candidate => fs.existsSync(candidate));
+    for (const candidate of candidates) {
+      try {
+        this.restore(JSON.parse(fs.readFileSync(candidate, 'utf8'), (_key, value) =>
+          typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value
+        ));
+        if (candidate !== this.filePath) {
+          this.logger?.warn('Device registry restored from backup', { path: candidate });
+        }
+        return;
+      } catch (error) {
+        this.logger?.warn('Device registry file could not be read', {
+          path: candidate,
+          error: error instanceof Error ? error.message : String(error)
+        });
+        if (candidate === this.filePath) {
+          fs.renameSync(candidate, `${candidate}.corrupt`);
+        }
+      }
+    }
+
+    if (candidates.length > 0) {
+      this.logger?.warn('Device registry starting empty', { path: this.filePath });
+    }
+  }
+
+  private restore(snapshot: RegistrySnapshot): void {
+    const { devices, deviceTypes, quarantine = [] } = snapshot;
+    if (!Array.isArray(devices) || !Array.isArray(deviceTypes) || !Array.isArray(quarantine)) {
+      throw new Error('Snapshot is missing its devices, deviceTypes or quarantine list');
+    }
+
+    this.devices = new Map(devices.map(device => [device.deviceId, device]));
+    this.deviceTypes = new Map(deviceTypes.map(deviceType => [deviceType.type, deviceType]));
+    this.quarantine = quarantine.slice(-this.maxQuarantineSize);
+  }
+
+  private persist(): void {
+    if (!this.filePath) {
+      return;
+    }
+
+    const snapshot: RegistrySnapshot = {
+      devices: this.getAll(),
+      deviceTypes: this.getDeviceTypes(),
+      quarantine: this.quarantine
+    };
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(snapshot, null, 2));
+    if (fs.existsSync(this.filePath)) {
+      fs.renameSync(this.filePath, `${this.filePath}.bak`);
+    }
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
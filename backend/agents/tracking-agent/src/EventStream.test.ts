@@ -0,0 +1,124 @@
+import { EventEmitter } from 'events';
+import { ServerResponse } from 'http';
+import { EventStream } from './EventStream';
+
+// Collects what the stream writes and parses it back into events
+class FakeResponse extends EventEmitter {
+  public chunks: string[] = [];
+
+  writeHead(): this {
+    return this;
+  }
+
+  write(chunk: string): boolean {
+    this.chunks.push(chunk);
+    return true;
+  }
+
+  end(): void {
+    this.emit('close');
+  }
+
+  events(): Array<{ id: string; type: string; data: any }> {
+    return this.chunks.join('').split('\n\n')
+      .map(block => Object.fromEntries(block.split('\n').filter(line => /^(id|event|data):/.test(line)).map(line => {
+        const separator = line.indexOf(': ');
+        return [line.slice(0, separator), line.slice(separator + 2)];
+      })))
+      .filter(fields => fields.data !== undefined)
+      .map(fields => ({ id: fields.id, type: fields.event, data: JSON.parse(fields.data) }));
+  }
+}
+
+function connect(stream: EventStream, options: { shipmentIds?: string[]; lastEventId?: string } = {}): FakeResponse {
+  const res = new FakeResponse();
+  stream.subscribe(res as unknown as ServerResponse, options);
+  return res;
+}
+
+function twinUpdate(shipmentId: string, twin: Record<string, unknown>, temperature: number) {
+  return { shipmentId, twin: { shipmentId, ...twin }, telemetry: { shipmentId, sensors: { temperature } } };
+}
+
+describe('EventStream', () => {
+  let source: EventEmitter;
+  let stream: EventStream;
+
+  beforeEach(() => {
+    source = new EventEmitter();
+    stream = new EventStream(source, ['digital-twin:updated', 'alert'], 10);
+  });
+
+  afterEach(() => {
+    stream.close();
+  });
+
+  it('numbers events <epoch>-<sequence> and replays those after Last-Event-ID', () => {
+    const first = connect(stream);
+    source.emit('alert', { shipmentId: 'S1', alert: { id: 'a1' } });
+    source.emit('alert', { shipmentId: 'S1', alert: { id: 'a2' } });
+    source.emit('alert', { shipmentId: 'S1', alert: { id: 'a3' } });
+
+    const ids = first.events().map(event => event.id);
+    expect(ids.map(id => id.split('-')[1])).toEqual(['1', '2', '3']);
+
+    const resumed = connect(stream, { lastEventId: ids[0] });
+    expect(resumed.events().map(event => event.data.alert.id)).toEqual(['a2', 'a3']);
+  });
+
+  it('replays everything buffered for an id from another epoch', () => {
+    source.emit('alert', { shipmentId: 'S1', alert: { id: 'a1' } });
+    source.emit('alert', { shipmentId: 'S1', alert: { id: 'a2' } });
+
+    const resumed = connect(stream, { lastEventId: 'earlier-2' });
+    expect(resumed.events().map(event => event.data.alert.id)).toEqual(['a1', 'a2']);
+  });
+
+  it('only sends events for the shipments a client asked for', () => {
+    const client = connect(stream, { shipmentIds: ['S2'] });
+    source.emit('alert', { shipmentId: 'S1', alert: { id: 'a1' } });
+    source.emit('alert', { shipmentId: 'S2', alert: { id: 'a2' } });
+
+    expect(client.events().map(event => event.data.alert.id)).toEqual(['a2']);
+  });
+
+  it('sends each connection a full twin first and then only what changed for it', () => {
+    const early = connect(stream);
+    source.emit('digital-twin:updated', twinUpdate('S1', { status: 'in_transit', batteryLevel: 90, alerts: [] }, 4));
+    source.emit('digital-twin:updated', twinUpdate('S1', { status: 'in_transit', batteryLevel: 89, alerts: [] }, 5));
+
+    const [first, second] = early.events().map(event => event.data);
+    expect(first.snapshot).toBe(true);
+    expect(first.changes).toEqual({ shipmentId: 'S1', status: 'in_transit', batteryLevel: 90 });
+    expect(second.snapshot).toBeUndefined();
+    expect(second.changes).toEqual({ batteryLevel: 89 });
+    expect(second.telemetry.sensors.temperature).toBe(5);
+
+    // Joins mid-stream: its first update is complete although only the battery changed
+    const late = connect(stream);
+    source.emit('digital-twin:updated', twinUpdate('S1', { status: 'in_transit', batteryLevel: 88 }, 6));
+    expect(late.events()[0].data).toMatchObject({
+      snapshot: true,
+      changes: { shipmentId: 'S1', status: 'in_transit', batteryLevel: 88 }
+    });
+    expect(early.events()[2].data.changes).toEqual({ batteryLevel: 88 });
+  });
+
+  it('starts a replay from a full twin and sends removed fields as null', () => {
+    source.emit('digital-twin:updated', twinUpdate('S1', { status: 'in_transit', eta: { minutes: 30 } }, 4));
+    source.emit('digital-twin:updated', twinUpdate('S1', { status: 'in_transit' }, 5));
+
+    const [first, second] = connect(stream, { lastEventId: 'unknown-1' }).events().map(event => event.data);
+    expect(first).toMatchObject({ snapshot: true, changes: { status: 'in_transit', eta: { minutes: 30 } } });
+    expect(second.changes).toEqual({ eta: null });
+  });
+
+  it('gives a shipment filtered out until now a full twin on its first update', () => {
+    const client = connect(stream, { shipmentIds: ['S2'] });
+    source.emit('digital-twin:updated', twinUpdate('S1', { status: 'in_transit' }, 4));
+    source.emit('digital-twin:updated', twinUpdate('S2', { status: 'loading' }, 4));
+
+    expect(client.events()).toHaveLength(1);
+    expect(client.events()[0].data).toMatchObject({ shipmentId: 'S2', snapshot: true, changes: { status: 'loading' } });
+  });
+});
@@ -0,0 +1,190 @@
+import { EventEmitter } from 'events';
+import { ServerResponse } from 'http';
+
+export interface StreamEvent {
+  id: string; // <epoch>-<sequence>
+  sequence: number;
+  type: string;
+  shipmentId?: string;
+  payload: string; // for digital-twin:updated, just the reading's JSON; see twinUpdatePayload()
+  twinFields?: Record<string, string>; // digital-twin:updated: JSON of each twin field after the update
+}
+
+interface StreamClient {
+  res: ServerResponse;
+  shipmentIds?: Set<string>;
+  twinFields: Map<string, Record<string, string>>; // per shipment, the twin fields this client was sent
+}
+
+// Twin fields with events of their own (alert, stop:*, door:*, status changes,
+// device:online), left out of digital-twin:updated
+const TWIN_FIELDS_WITH_OWN_EVENTS = new Set(['telemetryHistory', 'alerts', 'stops', 'doorEvents', 'statusHistory', 'reportingGaps']);
+
+// Trim alert events to what consumers need
+function serializeEvent(type: string, data: any): any {
+  switch (type) {
+    case 'alert':
+    case 'alert:updated':
+      return {
+        shipmentId: data.shipmentId,
+        deviceId: data.deviceId,
+        alert: data.alert,
+        telemetry: data.telemetry
+      };
+    default:
+      return data;
+  }
+}
+
+// Server-Sent Events feed of TrackingAgent events. Recent events are kept in a
+// ring buffer so reconnecting consumers can resume from Last-Event-ID. Ids are
+// prefixed with the time this stream started, so an id from before a restart is
+// recognised as such instead of being compared with the new sequence.
+export class EventStream {
+  private buffer: StreamEvent[];
+  private bufferSize: number;
+  private epoch: string;
+  private nextSequence: number;
+  private clients: Set<StreamClient>;
+  private twinFields: Map<string, Record<string, string>>; // latest JSON per twin field, by shipment
+  private heartbeat: NodeJS.Timeout;
+
+  constructor(source: EventEmitter, eventTypes: string[], bufferSize: number = 1000, heartbeatMs: number = 15000) {
+    this.buffer = [];
+    this.bufferSize = bufferSize;
+    this.epoch = Date.now().toString(36);
+    this.nextSequence = 1;
+    this.clients = new Set();
+    this.twinFields = new Map();
+
+    eventTypes.forEach(type => {
+      source.on(type, (data: any) => this.publish(type, data));
+    });
+
+    // Keep idle connections open through proxies
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(client => client.res.write(': heartbeat\n\n'));
+    }, heartbeatMs);
+    this.heartbeat.unref();
+  }
+
+  public subscribe(res: ServerResponse, options: { shipmentIds?: string[]; lastEventId?: string } = {}): void {
+    const client: StreamClient = {
+      res,
+      shipmentIds: options.shipmentIds && options.shipmentIds.length > 0
+        ? new Set(options.shipmentIds)
+        : undefined,
+      twinFields: new Map()
+    };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    // Replay missed events. An id from another epoch (we restarted) or one we never
+    // issued is a gap of unknown size, so everything buffered is replayed.
+    if (options.lastEventId !== undefined) {
+      const after = this.sequenceOf(options.lastEventId) ?? 0;
+      this.buffer
+        .filter(event => event.sequence > after)
+        .forEach(event => this.send(client, event));
+    }
+
+    this.clients.add(client);
+    res.on('close', () => {
+      this.clients.delete(client);
+    });
+  }
+
+  public getClientCount(): number {
+    return this.clients.size;
+  }
+
+  public close(): void {
+    clearInterval(this.heartbeat);
+    this.clients.forEach(client => client.res.end());
+    this.clients.clear();
+  }
+
+  // Sequence number of an id issued by this stream, or undefined
+  private sequenceOf(id: string): number | undefined {
+    const [epoch, sequence] = id.split('-');
+    const value = Number(sequence);
+    return epoch === this.epoch && Number.isInteger(value) && value > 0 && value < this.nextSequence
+      ? value
+      : undefined;
+  }
+
+  private publish(type: string, data: any): void {
+    const sequence = this.nextSequence++;
+    const event: StreamEvent = {
+      id: `${this.epoch}-${sequence}`,
+      sequence,
+      type,
+      shipmentId: data?.shipmentId,
+      ...(type === 'digital-twin:updated'
+        ? { payload: JSON.stringify(data.telemetry) ?? 'null', twinFields: this.serializeTwinFields(data) }
+        : { payload: JSON.stringify(serializeEvent(type, data)) })
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    this.clients.forEach(client => this.send(client, event));
+  }
+
+  // JSON of each twin field. A field that did not change since the shipment's previous
+  // update reuses that update's string, so buffered events share their unchanged fields.
+  private serializeTwinFields(data: any): Record<string, string> {
+    const previous = this.twinFields.get(data.shipmentId) || {};
+    const fields: Record<string, string> = {};
+
+    Object.entries(data.twin).forEach(([field, value]) => {
+      if (TWIN_FIELDS_WITH_OWN_EVENTS.has(field) || value === undefined) return;
+      const json = JSON.stringify(value);
+      fields[field] = json === previous[field] ? previous[field] : json;
+    });
+
+    this.twinFields.set(data.shipmentId, fields);
+    return fields;
+  }
+
+  // The reading plus the twin fields that changed since the update this client last got
+  // for the shipment; a removed field is sent as null. On a client's first update for a
+  // shipment (new connection, resume or replay) every field is sent, flagged snapshot.
+  private twinUpdatePayload(client: StreamClient, event: StreamEvent): string {
+    const fields = event.twinFields!;
+    const previous = client.twinFields.get(event.shipmentId!);
+    const changes: string[] = [];
+
+    Object.entries(fields).forEach(([field, json]) => {
+      if (!previous || previous[field] !== json) {
+        changes.push(`${JSON.stringify(field)}:${json}`);
+      }
+    });
+    Object.keys(previous || {}).forEach(field => {
+      if (!(field in fields)) {
+        changes.push(`${JSON.stringify(field)}:null`);
+      }
+    });
+
+    client.twinFields.set(event.shipmentId!, fields);
+    return `{"shipmentId":${JSON.stringify(event.shipmentId)},"telemetry":${event.payload},` +
+      `"changes":{${changes.join(',')}}${previous ? '' : ',"snapshot":true'}}`;
+  }
+
+  private send(client: StreamClient, event: StreamEvent): void {
+    if (client.shipmentIds && (!event.shipmentId || !client.shipmentIds.has(event.shipmentId))) {
+      return;
+    }
+
+    const payload = event.twinFields ? this.twinUpdatePayload(client, event) : event.payload;
+    client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${payload}\n\n`);
+  }
+}
@@ -0,0 +1,116 @@
+import * as http from 'http';
+import * as net from 'net';
+
+// Local SMTP and HTTP sink for trying out notifications without real mail, chat or
+// SMS services. Everything received is printed and kept in memory; GET /messages on
+// the HTTP port lists it. Any POST path is accepted, so webhook, Slack and SMS
+// channels can all point at http://localhost:<httpPort>/<anything>.
+
+export interface SinkMessage {
+  protocol: 'smtp' | 'http';
+  receivedAt: Date;
+  path?: string; // HTTP request path
+  from?: string; // SMTP envelope
+  to?: string[];
+  body: string;
+}
+
+export function startNotificationSink(options: { smtpPort?: number; httpPort?: number } = {}): {
+  messages: SinkMessage[];
+  close: () => void;
+} {
+  const messages: SinkMessage[] = [];
+  const store = (message: SinkMessage) => {
+    messages.push(message);
+    console.log(`--- ${message.protocol.toUpperCase()} ${message.path || `${message.from} -> ${message.to?.join(', ')}`}`);
+    console.log(message.body);
+  };
+
+  // Accepts any sender, recipient and credentials
+  const smtpServer = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let envelope: { from?: string; to: string[]; data: string[] } = { to: [], data: [] };
+    const reply = (line: string) => socket.write(`${line}\r\n`);
+
+    reply('220 notification-sink ESMTP');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let index: number;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            store({ protocol: 'smtp', receivedAt: new Date(), from: envelope.from, to: envelope.to, body: envelope.data.join('\n') });
+            envelope = { to: [], data: [] };
+            reply('250 OK: queued');
+          } else {
+            envelope.data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250-notification-sink');
+          reply('250 AUTH PLAIN');
+        } else if (command === 'AUTH') {
+          reply('235 Authentication successful');
+        } else if (command === 'MAIL') {
+          envelope.from = /<(.*)>/.exec(line)?.[1];
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          envelope.to.push(/<(.*)>/.exec(line)?.[1] || '');
+          reply('250 OK');
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('250 OK');
+        }
+      }
+    });
+  });
+
+  const httpServer = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/messages') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ messages, count: messages.length }));
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      store({ protocol: 'http', receivedAt: new Date(), path: `${req.method} ${req.url}`, body });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"ok":true}');
+    });
+  });
+
+  smtpServer.listen(options.smtpPort || 2525);
+  httpServer.listen(options.httpPort || 4010);
+
+  return {
+    messages,
+    close: () => {
+      smtpServer.close();
+      httpServer.close();
+    }
+  };
+}
+
+if (require.main === module) {
+  const smtpPort = parseInt(process.env.SINK_SMTP_PORT || '2525');
+  const httpPort = parseInt(process.env.SINK_HTTP_PORT || '4010');
+  startNotificationSink({ smtpPort, httpPort });
+  console.log(`Notification sink: SMTP on port ${smtpPort}, HTTP on port ${httpPort} (GET /messages)`);
+}
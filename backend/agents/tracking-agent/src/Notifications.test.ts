@@ -0,0 +1,153 @@
+import * as crypto from 'crypto';
+import * as http from 'http';
+import { AddressInfo } from 'net';
+import { NotificationDispatcher, NotificationRoute, publicNotificationConfig } from './Notifications';
+import { Alert, DigitalTwin } from './TrackingAgent';
+
+function alert(overrides: Partial<Alert> = {}): Alert {
+  return {
+    id: 'ALERT-1',
+    key: 'temperature:max',
+    type: 'temperature',
+    severity: 'high',
+    message: 'Temperature 12°C exceeds maximum of 8°C',
+    timestamp: new Date(Date.UTC(2024, 0, 1)),
+    resolved: false,
+    ...overrides
+  };
+}
+
+const TWIN = { shipmentId: 'SHIP-1', consignee: 'ACME' } as DigitalTwin;
+
+// Tuesday 2 January 2024, 12:00 UTC
+const NOON = new Date(Date.UTC(2024, 0, 2, 12));
+
+describe('NotificationDispatcher', () => {
+  let server: http.Server;
+  let url: string;
+  let received: Array<{ headers: http.IncomingHttpHeaders; body: string }>;
+  let status: number;
+
+  beforeEach(async () => {
+    received = [];
+    status = 204;
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(status).end();
+      });
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${(server.address() as AddressInfo).port}/hook`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  function dispatcher(route: Partial<NotificationRoute> = {}, rateLimit?: { max: number; perMinutes: number }): NotificationDispatcher {
+    return new NotificationDispatcher({
+      channels: [{ id: 'ops', type: 'webhook', url, secret: 's3cret', rateLimit }],
+      routes: [{ id: 'cold-chain', channels: ['ops'], ...route }]
+    });
+  }
+
+  it('posts matching alerts to the webhook with a signature over the body', async () => {
+    const deliveries = await dispatcher({ severities: ['high', 'critical'], customers: ['ACME'] })
+      .dispatch('alert', 'SHIP-1', alert(), TWIN, NOON);
+
+    expect(deliveries).toEqual([expect.objectContaining({ routeId: 'cold-chain', channelId: 'ops', status: 'sent' })]);
+    expect(received).toHaveLength(1);
+    const expected = crypto.createHmac('sha256', 's3cret').update(received[0].body).digest('hex');
+    expect(received[0].headers['x-signature']).toBe(`sha256=${expected}`);
+    expect(JSON.parse(received[0].body)).toMatchObject({ event: 'alert', shipmentId: 'SHIP-1', customer: 'ACME', alert: { id: 'ALERT-1' } });
+  });
+
+  it('skips routes whose filters do not match', async () => {
+    const notifications = dispatcher({ severities: ['critical'] });
+    expect(await notifications.dispatch('alert', 'SHIP-1', alert(), TWIN, NOON)).toEqual([]);
+
+    const byCustomer = dispatcher({ customers: ['Globex'] });
+    expect(await byCustomer.dispatch('alert', 'SHIP-1', alert(), TWIN, NOON)).toEqual([]);
+    expect(received).toEqual([]);
+  });
+
+  it('holds back repeats of a condition during the cooldown but not escalations', async () => {
+    const notifications = dispatcher({ cooldownMinutes: 30 });
+    const later = (minutes: number) => new Date(NOON.getTime() + minutes * 60000);
+
+    await notifications.dispatch('alert', 'SHIP-1', alert(), TWIN, NOON);
+    const [repeat] = await notifications.dispatch('alert', 'SHIP-1', alert({ id: 'ALERT-2' }), TWIN, later(10));
+    const [escalated] = await notifications.dispatch('alert:escalated', 'SHIP-1', alert({ id: 'ALERT-2' }), TWIN, later(15));
+    const [other] = await notifications.dispatch('alert', 'SHIP-2', alert({ id: 'ALERT-3' }), TWIN, later(15));
+
+    expect([repeat.status, escalated.status, other.status]).toEqual(['cooldown', 'sent', 'sent']);
+    expect(notifications.getDeliveries({ status: 'cooldown' })).toEqual([repeat]);
+  });
+
+  it('stops sending on a channel once its rate limit is used up', async () => {
+    const notifications = dispatcher({}, { max: 2, perMinutes: 10 });
+    const statuses: string[] = [];
+    for (let i = 0; i < 3; i++) {
+      const [delivery] = await notifications.dispatch('alert', `SHIP-${i}`, alert(), TWIN, new Date(NOON.getTime() + i * 60000));
+      statuses.push(delivery.status);
+    }
+    const [afterWindow] = await notifications.dispatch('alert', 'SHIP-9', alert(), TWIN, new Date(NOON.getTime() + 11 * 60000));
+
+    expect(statuses).toEqual(['sent', 'sent', 'rate-limited']);
+    expect(afterWindow.status).toBe('sent');
+    expect(received).toHaveLength(3);
+  });
+
+  it('keeps quiet overnight in the route time zone except for severe alerts', async () => {
+    // 22:00-06:00 in Berlin on weekdays; 23:30 UTC on Tuesday is 00:30 Wednesday in Berlin
+    const notifications = dispatcher({
+      quietPeriods: [{ start: '22:00', end: '06:00', days: [1, 2, 3, 4, 5], timezone: 'Europe/Berlin' }]
+    });
+    const night = new Date(Date.UTC(2024, 0, 2, 23, 30));
+
+    const [quiet] = await notifications.dispatch('alert', 'SHIP-1', alert(), TWIN, night);
+    const [critical] = await notifications.dispatch('alert', 'SHIP-2', alert({ severity: 'critical' }), TWIN, night);
+    const [day] = await notifications.dispatch('alert', 'SHIP-3', alert(), TWIN, NOON);
+
+    expect([quiet.status, critical.status, day.status]).toEqual(['quiet', 'sent', 'sent']);
+  });
+
+  it('records failed deliveries with the reason', async () => {
+    status = 500;
+    const notifications = dispatcher();
+    const emitted: any[] = [];
+    notifications.on('notification', delivery => emitted.push(delivery));
+
+    const [delivery] = await notifications.dispatch('alert', 'SHIP-1', alert(), TWIN, NOON);
+
+    expect(delivery).toMatchObject({ status: 'failed', error: expect.stringContaining('HTTP 500') });
+    expect(emitted).toEqual([delivery]);
+  });
+
+  it('rejects routes that name unknown channels', () => {
+    expect(() => new NotificationDispatcher({
+      channels: [],
+      routes: [{ id: 'all', channels: ['missing'] }]
+    })).toThrow('Notification route all uses unknown channels: missing');
+  });
+});
+
+describe('publicNotificationConfig', () => {
+  it('leaves out passwords, headers and secrets', () => {
+    const config = publicNotificationConfig({
+      channels: [
+        { id: 'mail', type: 'smtp', host: 'smtp.example.com', port: 465, username: 'ops', password: 'pw', from: 'a@example.com', to: ['b@example.com'] },
+        { id: 'hook', type: 'webhook', url: 'https://example.com', headers: { Authorization: 'Bearer x' }, secret: 's' }
+      ],
+      routes: []
+    });
+
+    expect(config.channels).toEqual([
+      { id: 'mail', type: 'smtp', host: 'smtp.example.com', port: 465, username: 'ops', from: 'a@example.com', to: ['b@example.com'] },
+      { id: 'hook', type: 'webhook', url: 'https://example.com' }
+    ]);
+  });
+});
@@ -0,0 +1,456 @@
+import { EventEmitter } from 'events';
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as http from 'http';
+import * as https from 'https';
+import * as net from 'net';
+import * as os from 'os';
+import * as tls from 'tls';
+import type { Alert, DigitalTwin, TrackingAgent } from './TrackingAgent';
+
+// Outgoing channels. Secrets in the config file may be written as ${ENV_VAR}.
+export type NotificationChannel =
+  | {
+      id: string;
+      type: 'smtp';
+      host: string;
+      port: number;
+      secure?: boolean; // implicit TLS, usually port 465
+      username?: string;
+      password?: string;
+      from: string;
+      to: string[];
+      rateLimit?: RateLimit;
+    }
+  | {
+      id: string;
+      type: 'webhook';
+      url: string;
+      headers?: Record<string, string>;
+      secret?: string; // signs the body as X-Signature: sha256=<hex HMAC>
+      rateLimit?: RateLimit;
+    }
+  | {
+      id: string;
+      type: 'slack'; // Slack-compatible incoming webhook (Slack, Mattermost, Rocket.Chat)
+      url: string;
+      rateLimit?: RateLimit;
+    }
+  | {
+      id: string;
+      type: 'sms'; // HTTP SMS gateway; receives POST { to, from, message } per recipient
+      url: string;
+      headers?: Record<string, string>;
+      from?: string;
+      to: string[];
+      rateLimit?: RateLimit;
+    };
+
+// At most max notifications per perMinutes on one channel
+export interface RateLimit {
+  max: number;
+  perMinutes: number;
+}
+
+// Local time window in which only alerts at or above minSeverity go out
+export interface QuietPeriod {
+  start: string; // HH:MM
+  end: string; // HH:MM; before start for windows over midnight
+  days?: number[]; // 0 = Sunday; every day when omitted
+  timezone?: string; // IANA zone, e.g. Europe/Berlin; UTC when omitted
+  minSeverity?: Alert['severity']; // default critical
+}
+
+// Which alerts go to which channels; list filters match any of their values
+export interface NotificationRoute {
+  id: string;
+  severities?: Alert['severity'][];
+  types?: string[];
+  shipmentIds?: string[];
+  customers?: string[]; // twin consignee
+  channels: string[];
+  cooldownMinutes?: number; // same shipment and alert condition notified at most once per cooldown
+  quietPeriods?: QuietPeriod[];
+}
+
+export interface NotificationConfig {
+  channels: NotificationChannel[];
+  routes: NotificationRoute[];
+}
+
+export type DeliveryStatus = 'sent' | 'failed' | 'rate-limited' | 'quiet' | 'cooldown';
+
+export interface NotificationDelivery {
+  id: string;
+  event: string;
+  routeId: string;
+  channelId: string;
+  shipmentId: string;
+  alertId: string;
+  severity: Alert['severity'];
+  status: DeliveryStatus;
+  error?: string;
+  at: Date;
+}
+
+interface NotificationMessage {
+  event: string;
+  shipmentId: string;
+  customer?: string;
+  alert: Alert;
+  location?: DigitalTwin['currentLocation'];
+  subject: string;
+  text: string;
+}
+
+const SEVERITY_RANK: Record<Alert['severity'], number> = { low: 0, medium: 1, high: 2, critical: 3 };
+const SLACK_COLORS: Record<Alert['severity'], string> = { low: '#439fe0', medium: '#f2c744', high: '#ff8c00', critical: '#d00000' };
+const SEND_TIMEOUT_MS = 10000;
+
+// Read a notification config file, substituting ${ENV_VAR} references
+export function readNotificationConfig(filePath: string): unknown {
+  const raw = fs.readFileSync(filePath, 'utf8').replace(/\$\{(\w+)\}/g, (_match, name) =>
+    JSON.stringify(process.env[name] || '').slice(1, -1)
+  );
+  return JSON.parse(raw);
+}
+
+// Config as exposed over the API: credentials, headers and secrets left out
+export function publicNotificationConfig(config: NotificationConfig): NotificationConfig {
+  return {
+    routes: config.routes,
+    channels: config.channels.map(channel => {
+      const { password: _password, headers: _headers, secret: _secret, ...rest } = channel as any;
+      return rest;
+    })
+  };
+}
+
+function postJson(url: string, body: unknown, headers: Record<string, string> = {}): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const payload = JSON.stringify(body);
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      timeout: SEND_TIMEOUT_MS,
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), ...headers }
+    }, response => {
+      response.resume();
+      response.on('end', () => {
+        const status = response.statusCode || 0;
+        if (status >= 200 && status < 300) {
+          resolve();
+        } else {
+          reject(new Error(`HTTP ${status} from ${target.host}`));
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error(`Timed out posting to ${target.host}`)));
+    request.on('error', reject);
+    request.end(payload);
+  });
+}
+
+// RFC 2047 encoded-word for headers with non-ASCII text, e.g. °C in a subject
+function encodeHeader(value: string): string {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+// Minimal SMTP client: EHLO, optional AUTH PLAIN, one message, QUIT. No STARTTLS;
+// use secure (implicit TLS) for servers that require encryption.
+function sendMail(channel: Extract<NotificationChannel, { type: 'smtp' }>, subject: string, text: string): Promise<void> {
+  const body = [
+    `From: ${channel.from}`,
+    `To: ${channel.to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    // Dot-stuffing so a line starting with "." cannot end the DATA section
+    ...text.split(/\r?\n/).map(line => (line.startsWith('.') ? `.${line}` : line))
+  ].join('\r\n');
+
+  // Each command with the reply code that lets the exchange continue
+  const steps: Array<[string | null, number]> = [
+    [null, 220],
+    [`EHLO ${os.hostname()}`, 250],
+    ...(channel.username
+      ? [[`AUTH PLAIN ${Buffer.from(`\0${channel.username}\0${channel.password || ''}`).toString('base64')}`, 235] as [string, number]]
+      : []),
+    [`MAIL FROM:<${channel.from}>`, 250],
+    ...channel.to.map(to => [`RCPT TO:<${to}>`, 250] as [string, number]),
+    ['DATA', 354],
+    [`${body}\r\n.`, 250],
+    ['QUIT', 221]
+  ];
+
+  return new Promise((resolve, reject) => {
+    const socket: net.Socket = channel.secure
+      ? tls.connect({ host: channel.host, port: channel.port, servername: channel.host })
+      : net.connect({ host: channel.host, port: channel.port });
+    let step = 0;
+    let reply = '';
+
+    socket.setTimeout(SEND_TIMEOUT_MS, () => socket.destroy(new Error(`SMTP timeout at ${channel.host}:${channel.port}`)));
+    socket.on('error', reject);
+    socket.on('data', chunk => {
+      reply += chunk.toString();
+      // A reply is complete once its last line has a space after the code ("250 OK")
+      const lines = reply.split('\r\n');
+      const last = lines[lines.length - 2];
+      if (!reply.endsWith('\r\n') || !last || !/^\d{3} /.test(last)) return;
+      reply = '';
+
+      if (parseInt(last.slice(0, 3)) !== steps[step][1]) {
+        socket.destroy();
+        reject(new Error(`SMTP server replied "${last}"`));
+        return;
+      }
+      step++;
+      if (step === steps.length) {
+        socket.end();
+        resolve();
+        return;
+      }
+      socket.write(`${steps[step][0]}\r\n`);
+    });
+  });
+}
+
+// Routes alerts emitted by TrackingAgent to notification channels. Every attempt,
+// including skipped ones, is kept in a bounded delivery log and emitted as 'notification'.
+export class NotificationDispatcher extends EventEmitter {
+  private config: NotificationConfig;
+  private channels: Map<string, NotificationChannel>;
+  private sentAt: Map<string, number[]>; // channel id -> send times within its rate limit window
+  private lastNotified: Map<string, number>; // route|shipment|condition -> time
+  private deliveries: NotificationDelivery[];
+  private maxLogSize: number;
+
+  constructor(config: NotificationConfig, options: { maxLogSize?: number } = {}) {
+    super();
+    this.config = config;
+    this.channels = new Map(config.channels.map(channel => [channel.id, channel]));
+    this.sentAt = new Map();
+    this.lastNotified = new Map();
+    this.deliveries = [];
+    this.maxLogSize = options.maxLogSize || 1000;
+
+    config.routes.forEach(route => {
+      const unknown = route.channels.filter(id => !this.channels.has(id));
+      if (unknown.length > 0) {
+        throw new Error(`Notification route ${route.id} uses unknown channels: ${unknown.join(', ')}`);
+      }
+    });
+  }
+
+  // Notify on new and escalated alerts
+  public attach(agent: TrackingAgent): void {
+    agent.on('alert', (data: any) => {
+      this.dispatch('alert', data.shipmentId, data.alert, agent.getDigitalTwin(data.shipmentId)).catch(() => undefined);
+    });
+    agent.on('alert:escalated', (data: any) => {
+      this.dispatch('alert:escalated', data.shipmentId, data.alert, agent.getDigitalTwin(data.shipmentId)).catch(() => undefined);
+    });
+  }
+
+  public getConfig(): NotificationConfig {
+    return this.config;
+  }
+
+  public getDeliveries(filter: { shipmentId?: string; status?: DeliveryStatus } = {}): NotificationDelivery[] {
+    return this.deliveries.filter(delivery =>
+      (!filter.shipmentId || delivery.shipmentId === filter.shipmentId) &&
+      (!filter.status || delivery.status === filter.status)
+    );
+  }
+
+  public async dispatch(event: string, shipmentId: string, alert: Alert, twin?: DigitalTwin, now: Date = new Date()): Promise<NotificationDelivery[]> {
+    const message = this.compose(event, shipmentId, alert, twin);
+    const deliveries: Promise<NotificationDelivery>[] = [];
+
+    this.config.routes
+      .filter(route => this.matches(route, shipmentId, alert, twin))
+      .forEach(route => {
+        const record = (channelId: string, status: DeliveryStatus, error?: string) => this.record({
+          event, routeId: route.id, channelId, shipmentId, alertId: alert.id, severity: alert.severity, status, error, at: now
+        });
+
+        if (this.isQuiet(route, alert, now)) {
+          route.channels.forEach(channelId => deliveries.push(Promise.resolve(record(channelId, 'quiet'))));
+          return;
+        }
+
+        // Escalations always go out; new alerts for the same condition wait out the cooldown
+        const cooldownKey = `${route.id}|${shipmentId}|${alert.key || alert.type}`;
+        const last = this.lastNotified.get(cooldownKey);
+        if (event === 'alert' && route.cooldownMinutes && last !== undefined &&
+          now.getTime() - last < route.cooldownMinutes * 60000) {
+          route.channels.forEach(channelId => deliveries.push(Promise.resolve(record(channelId, 'cooldown'))));
+          return;
+        }
+        this.lastNotified.set(cooldownKey, now.getTime());
+
+        route.channels.forEach(channelId => {
+          const channel = this.channels.get(channelId)!;
+          if (!this.takeRateLimit(channel, now)) {
+            deliveries.push(Promise.resolve(record(channelId, 'rate-limited')));
+            return;
+          }
+          deliveries.push(
+            this.send(channel, message)
+              .then(() => record(channelId, 'sent'))
+              .catch(error => record(channelId, 'failed', error instanceof Error ? error.message : String(error)))
+          );
+        });
+      });
+
+    return Promise.all(deliveries);
+  }
+
+  // Send a sample alert through one channel, bypassing routes and limits
+  public async sendTest(channelId: string): Promise<void> {
+    const channel = this.channels.get(channelId);
+    if (!channel) {
+      throw new Error(`Unknown notification channel ${channelId}`);
+    }
+
+    const alert: Alert = {
+      id: 'test',
+      type: 'temperature',
+      severity: 'low',
+      message: 'Test notification from the tracking agent',
+      timestamp: new Date(),
+      resolved: false
+    };
+    await this.send(channel, this.compose('test', 'TEST', alert));
+  }
+
+  private matches(route: NotificationRoute, shipmentId: string, alert: Alert, twin?: DigitalTwin): boolean {
+    return (!route.severities || route.severities.includes(alert.severity)) &&
+      (!route.types || route.types.includes(alert.type)) &&
+      (!route.shipmentIds || route.shipmentIds.includes(shipmentId)) &&
+      (!route.customers || (!!twin?.consignee && route.customers.includes(twin.consignee)));
+  }
+
+  private isQuiet(route: NotificationRoute, alert: Alert, now: Date): boolean {
+    return (route.quietPeriods || []).some(period => {
+      if (SEVERITY_RANK[alert.severity] >= SEVERITY_RANK[period.minSeverity || 'critical']) {
+        return false;
+      }
+
+      const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: period.timezone || 'UTC',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }).formatToParts(now);
+      const part = (type: string) => parts.find(p => p.type === type)?.value || '';
+      const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(part('weekday'));
+      const time = `${part('hour')}:${part('minute')}`;
+
+      const inWindow = period.start <= period.end
+        ? time >= period.start && time < period.end
+        : time >= period.start || time < period.end;
+      // A window over midnight belongs to the day it starts on
+      const windowDay = period.start > period.end && time < period.end ? (day + 6) % 7 : day;
+      return inWindow && (!period.days || period.days.includes(windowDay));
+    });
+  }
+
+  private takeRateLimit(channel: NotificationChannel, now: Date): boolean {
+    if (!channel.rateLimit) {
+      return true;
+    }
+
+    const windowStart = now.getTime() - channel.rateLimit.perMinutes * 60000;
+    const recent = (this.sentAt.get(channel.id) || []).filter(time => time > windowStart);
+    if (recent.length >= channel.rateLimit.max) {
+      this.sentAt.set(channel.id, recent);
+      return false;
+    }
+    this.sentAt.set(channel.id, [...recent, now.getTime()]);
+    return true;
+  }
+
+  private compose(event: string, shipmentId: string, alert: Alert, twin?: DigitalTwin): NotificationMessage {
+    const action = event === 'alert:escalated' ? 'escalated' : 'alert';
+    const subject = `[${alert.severity.toUpperCase()}] ${alert.type} ${action} on shipment ${shipmentId}`;
+    const lines = [
+      alert.message,
+      '',
+      `Shipment: ${shipmentId}`,
+      twin?.consignee ? `Customer: ${twin.consignee}` : undefined,
+      `Severity: ${alert.severity}`,
+      alert.value !== undefined ? `Value: ${alert.value}` : undefined,
+      alert.threshold !== undefined ? `Threshold: ${alert.threshold}` : undefined,
+      alert.deviceId ? `Device: ${alert.deviceId}${alert.position ? ` at ${alert.position}` : ''}` : undefined,
+      twin?.currentLocation ? `Location: ${twin.currentLocation.latitude}, ${twin.currentLocation.longitude}` : undefined,
+      `First seen: ${new Date(alert.firstSeenAt || alert.timestamp).toISOString()}`,
+      `Alert ID: ${alert.id}`
+    ];
+
+    return {
+      event,
+      shipmentId,
+      customer: twin?.consignee,
+      alert,
+      location: twin?.currentLocation,
+      subject,
+      text: lines.filter(line => line !== undefined).join('\n')
+    };
+  }
+
+  private async send(channel: NotificationChannel, message: NotificationMessage): Promise<void> {
+    switch (channel.type) {
+      case 'smtp':
+        return sendMail(channel, message.subject, message.text);
+      case 'webhook': {
+        const body = {
+          event: message.event,
+          shipmentId: message.shipmentId,
+          customer: message.customer,
+          location: message.location,
+          alert: message.alert,
+          sentAt: new Date()
+        };
+        const headers = { ...channel.headers };
+        if (channel.secret) {
+          const signature = crypto.createHmac('sha256', channel.secret).update(JSON.stringify(body)).digest('hex');
+          headers['X-Signature'] = `sha256=${signature}`;
+        }
+        return postJson(channel.url, body, headers);
+      }
+      case 'slack':
+        return postJson(channel.url, {
+          text: message.subject,
+          attachments: [{
+            color: SLACK_COLORS[message.alert.severity],
+            text: message.text
+          }]
+        });
+      case 'sms': {
+        // Keep texts within two SMS segments
+        const text = `${message.subject}: ${message.alert.message}`.slice(0, 306);
+        for (const to of channel.to) {
+          await postJson(channel.url, { to, from: channel.from, message: text }, channel.headers);
+        }
+        return;
+      }
+    }
+  }
+
+  private record(delivery: Omit<NotificationDelivery, 'id'>): NotificationDelivery {
+    const entry: NotificationDelivery = { id: crypto.randomUUID(), ...delivery };
+    this.deliveries.push(entry);
+    if (this.deliveries.length > this.maxLogSize) {
+      this.deliveries.shift();
+    }
+    this.emit('notification', entry);
+    return entry;
+  }
+}
@@ -0,0 +1,64 @@
+import * as crypto from 'crypto';
+import { canonicalTelemetry, verifyTelemetry } from './TelemetrySignature';
+import { Telemetry } from './TrackingAgent';
+
+const READING: Telemetry = {
+  shipmentId: 'SHIP-1',
+  deviceId: 'DEV-1',
+  timestamp: new Date(Date.UTC(2024, 0, 1)),
+  location: { latitude: 52.37, longitude: 4.89 },
+  sensors: { temperature: 4.5, humidity: 60 }
+};
+
+function hmacSigned(telemetry: Telemetry, secret: string): Telemetry {
+  const value = crypto.createHmac('sha256', secret).update(canonicalTelemetry(telemetry)).digest('base64');
+  return { ...telemetry, signature: { algorithm: 'HMAC-SHA256', value } };
+}
+
+describe('canonicalTelemetry', () => {
+  it('sorts keys, normalises the timestamp and leaves out server-side fields', () => {
+    const reordered = {
+      sensors: { humidity: 60, temperature: 4.5 },
+      location: { longitude: 4.89, latitude: 52.37 },
+      timestamp: '2024-01-01T00:00:00Z',
+      deviceId: 'DEV-1',
+      shipmentId: 'SHIP-1',
+      battery: undefined,
+      routeDeviation: 120,
+      signature: { algorithm: 'HMAC-SHA256', value: 'abc' }
+    } as unknown as Telemetry;
+
+    expect(canonicalTelemetry(reordered)).toBe(canonicalTelemetry(READING));
+    expect(canonicalTelemetry(READING)).toBe(
+      '{"deviceId":"DEV-1","location":{"latitude":52.37,"longitude":4.89},' +
+      '"sensors":{"humidity":60,"temperature":4.5},"shipmentId":"SHIP-1","timestamp":"2024-01-01T00:00:00.000Z"}'
+    );
+  });
+});
+
+describe('verifyTelemetry', () => {
+  it('reports unsigned readings and signatures without a key to check them', () => {
+    expect(verifyTelemetry(READING, { hmacSecret: 'secret' }).status).toBe('unsigned');
+    expect(verifyTelemetry(hmacSigned(READING, 'secret'), {}).status).toBe('no-key');
+  });
+
+  it('verifies HMAC-SHA256 signatures and rejects tampered readings', () => {
+    const signed = hmacSigned(READING, 'secret');
+
+    expect(verifyTelemetry(signed, { hmacSecret: 'secret' })).toMatchObject({ status: 'verified', algorithm: 'HMAC-SHA256' });
+    expect(verifyTelemetry(signed, { hmacSecret: 'other' }).status).toBe('invalid');
+    expect(verifyTelemetry({ ...signed, sensors: { temperature: 2, humidity: 60 } }, { hmacSecret: 'secret' }).status).toBe('invalid');
+    expect(verifyTelemetry({ ...signed, routeDeviation: 300 }, { hmacSecret: 'secret' }).status).toBe('verified');
+  });
+
+  it('verifies Ed25519 signatures against the device public key', () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const publicPem = publicKey.export({ type: 'spki', format: 'pem' }).toString();
+    const value = crypto.sign(null, Buffer.from(canonicalTelemetry(READING)), privateKey).toString('base64');
+    const signed: Telemetry = { ...READING, signature: { algorithm: 'Ed25519', value, keyId: 'k1' } };
+
+    expect(verifyTelemetry(signed, { publicKey: publicPem })).toMatchObject({ status: 'verified', keyId: 'k1' });
+    expect(verifyTelemetry({ ...signed, deviceId: 'DEV-2' }, { publicKey: publicPem }).status).toBe('invalid');
+    expect(verifyTelemetry(signed, { publicKey: 'not a key' }).status).toBe('invalid');
+  });
+});
@@ -0,0 +1,86 @@
+import * as crypto from 'crypto';
+import type { Telemetry } from './TrackingAgent';
+import type { DeviceCredentials } from './DeviceRegistry';
+
+export type SignatureAlgorithm = 'HMAC-SHA256' | 'Ed25519';
+
+// Signature a device attaches to a reading, over canonicalTelemetry()
+export interface TelemetrySignature {
+  algorithm: SignatureAlgorithm;
+  value: string; // base64
+  keyId?: string;
+}
+
+// Outcome of checking a reading's signature, stored with the reading as provenance
+export interface TelemetryVerification {
+  status: 'verified' | 'invalid' | 'unsigned' | 'no-key';
+  algorithm?: SignatureAlgorithm;
+  keyId?: string;
+  verifiedAt: Date;
+}
+
+// Fields added after the device signed the payload
+const UNSIGNED_FIELDS = ['signature', 'verification', 'routeDeviation', 'quality'];
+
+// JSON with sorted keys and no undefined values, so signer and verifier hash the same bytes
+function canonicalize(value: any): string {
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Canonical form of a reading: every field except the signature and server-side
+// additions, with the timestamp normalised to ISO 8601 with milliseconds
+export function canonicalTelemetry(telemetry: Telemetry): string {
+  const payload: Record<string, any> = { ...telemetry, timestamp: new Date(telemetry.timestamp).toISOString() };
+  UNSIGNED_FIELDS.forEach(field => delete payload[field]);
+  return canonicalize(payload);
+}
+
+export function verifyTelemetry(telemetry: Telemetry, credentials?: DeviceCredentials): TelemetryVerification {
+  const signature = telemetry.signature;
+  const verifiedAt = new Date();
+
+  if (!signature) {
+    return { status: 'unsigned', verifiedAt };
+  }
+
+  const result = { algorithm: signature.algorithm, keyId: signature.keyId, verifiedAt };
+  const canonical = Buffer.from(canonicalTelemetry(telemetry));
+  const provided = Buffer.from(signature.value, 'base64');
+
+  switch (signature.algorithm) {
+    case 'HMAC-SHA256': {
+      if (!credentials?.hmacSecret) {
+        return { status: 'no-key', ...result };
+      }
+      const expected = crypto.createHmac('sha256', credentials.hmacSecret).update(canonical).digest();
+      const valid = provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+      return { status: valid ? 'verified' : 'invalid', ...result };
+    }
+    case 'Ed25519': {
+      if (!credentials?.publicKey) {
+        return { status: 'no-key', ...result };
+      }
+      try {
+        const valid = crypto.verify(null, canonical, crypto.createPublicKey(credentials.publicKey), provided);
+        return { status: valid ? 'verified' : 'invalid', ...result };
+      } catch {
+        return { status: 'invalid', ...result };
+      }
+    }
+    default:
+      return { status: 'invalid', ...result };
+  }
+}
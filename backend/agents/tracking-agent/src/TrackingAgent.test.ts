@@ -0,0 +1,236 @@
+import { TrackingAgent, Telemetry } from './TrackingAgent';
+
+const START = Date.UTC(2024, 0, 1);
+
+// One reading from DEV-1 on SHIP-1, `minute` minutes into the trip
+function reading(minute: number, overrides: Partial<Telemetry> = {}): Telemetry {
+  return {
+    shipmentId: 'SHIP-1',
+    deviceId: 'DEV-1',
+    timestamp: new Date(START + minute * 60000),
+    location: { latitude: 52.37, longitude: 4.89 },
+    ...overrides
+  };
+}
+
+function temperature(minute: number, value: number, deviceId: string = 'DEV-1'): Telemetry {
+  return reading(minute, { deviceId, sensors: { temperature: value } });
+}
+
+function record(agent: TrackingAgent, type: string): any[] {
+  const events: any[] = [];
+  agent.on(type, event => events.push(event));
+  return events;
+}
+
+describe('TrackingAgent', () => {
+  let agent: TrackingAgent;
+
+  beforeEach(() => {
+    agent = new TrackingAgent();
+  });
+
+  afterEach(() => {
+    agent.close();
+  });
+
+  describe('alert lifecycle', () => {
+    it('keeps one alert open while the condition persists', () => {
+      const opened = record(agent, 'alert');
+      const updated = record(agent, 'alert:updated');
+      [20, 61, 64, 62].forEach((value, i) => agent.updateTelemetry('SHIP-1', temperature(i * 10, value)));
+
+      const alerts = agent.getDigitalTwin('SHIP-1')!.alerts.filter(alert => alert.key === 'temperature:max');
+      expect(alerts).toHaveLength(1);
+      expect(opened.filter(event => event.alert.key === 'temperature:max')).toHaveLength(1);
+      expect(updated.filter(event => event.alert.key === 'temperature:max')).toHaveLength(2);
+      expect(alerts[0]).toMatchObject({ resolved: false, sampleCount: 3, peakValue: 64, value: 62 });
+      expect(alerts[0].durationMinutes).toBe(20);
+    });
+
+    it('resolves only once the reading is back inside the limit by the hysteresis', () => {
+      const resolved = record(agent, 'alert:resolved');
+      [20, 61, 59.5].forEach((value, i) => agent.updateTelemetry('SHIP-1', temperature(i * 10, value)));
+      expect(agent.getActiveAlerts('SHIP-1').map(alert => alert.key)).toContain('temperature:max');
+
+      agent.updateTelemetry('SHIP-1', temperature(30, 58));
+      expect(agent.getActiveAlerts('SHIP-1').map(alert => alert.key)).not.toContain('temperature:max');
+      expect(resolved).toHaveLength(1);
+      expect(resolved[0]).toMatchObject({ auto: true });
+      expect(resolved[0].alert.resolvedAt).toEqual(new Date(START + 30 * 60000));
+    });
+
+    it('opens a new alert when the condition returns after resolving', () => {
+      [20, 61, 55, 61].forEach((value, i) => agent.updateTelemetry('SHIP-1', temperature(i * 10, value)));
+
+      const alerts = agent.getDigitalTwin('SHIP-1')!.alerts.filter(alert => alert.key === 'temperature:max');
+      expect(alerts.map(alert => alert.resolved)).toEqual([true, false]);
+    });
+  });
+
+  describe('mean kinetic temperature', () => {
+    // MKT in °C of equally spaced readings, each weighted by the interval after it
+    function expectedMkt(values: number[]): number {
+      const energy = 83144 / 8.3144598;
+      const weighted = values.slice(0, -1);
+      const mean = weighted.reduce((sum, value) => sum + Math.exp(-energy / (value + 273.15)), 0) / weighted.length;
+      return Math.round((energy / -Math.log(mean) - 273.15) * 100) / 100;
+    }
+
+    const alternating = Array.from({ length: 13 }, (_, i) => (i % 2 === 0 ? 4 : 6));
+
+    it('equals a constant temperature', () => {
+      [5, 5, 5, 5].forEach((value, i) => agent.updateTelemetry('SHIP-1', temperature(i * 10, value)));
+      expect(agent.getMeanKineticTemperature('SHIP-1')).toMatchObject({ meanKineticTemperature: 5, samples: 4 });
+    });
+
+    it('weights warm periods more than the arithmetic mean', () => {
+      alternating.forEach((value, i) => agent.updateTelemetry('SHIP-1', temperature(i * 10, value)));
+
+      const mkt = agent.getMeanKineticTemperature('SHIP-1')!;
+      expect(mkt.meanKineticTemperature).toBe(expectedMkt(alternating));
+      expect(mkt.meanKineticTemperature).toBeGreaterThan(5);
+      expect(mkt.from).toEqual(new Date(START));
+      expect(mkt.to).toEqual(new Date(START + 120 * 60000));
+    });
+
+    it('covers the whole trip when the history is capped', () => {
+      const capped = new TrackingAgent(3);
+      alternating.forEach((value, i) => capped.updateTelemetry('SHIP-1', temperature(i * 10, value)));
+
+      expect(capped.getDigitalTwin('SHIP-1')!.telemetryHistory).toHaveLength(3);
+      expect(capped.getMeanKineticTemperature('SHIP-1')).toMatchObject({
+        meanKineticTemperature: expectedMkt(alternating),
+        samples: alternating.length
+      });
+      capped.close();
+    });
+
+    it('raises an alert while the MKT is above the limit', () => {
+      agent.updateTelemetry('SHIP-1', temperature(0, 4));
+      agent.setThresholds('SHIP-1', { mkt: { max: 5 } });
+      [6, 6, 6].forEach((value, i) => agent.updateTelemetry('SHIP-1', temperature((i + 1) * 10, value)));
+
+      const alert = agent.getActiveAlerts('SHIP-1').find(candidate => candidate.key === 'temperature:mkt');
+      expect(alert).toMatchObject({ type: 'temperature', threshold: 5 });
+    });
+
+    it('resolves the MKT alert only once the MKT is below the limit by the hysteresis', () => {
+      const mktAlertOpen = () => agent.getActiveAlerts('SHIP-1').some(alert => alert.key === 'temperature:mkt');
+      agent.updateTelemetry('SHIP-1', temperature(0, 4));
+      agent.setThresholds('SHIP-1', { mkt: { max: 5, hysteresis: 1 } });
+      [6, 6, 6].forEach((value, i) => agent.updateTelemetry('SHIP-1', temperature((i + 1) * 10, value)));
+      expect(mktAlertOpen()).toBe(true);
+
+      let minute = 30;
+      const cooled = (limit: number) => {
+        while (agent.getDigitalTwin('SHIP-1')!.meanKineticTemperature! > limit) {
+          minute += 10;
+          agent.updateTelemetry('SHIP-1', temperature(minute, 3));
+        }
+      };
+
+      cooled(5);
+      expect(agent.getDigitalTwin('SHIP-1')!.meanKineticTemperature).toBeGreaterThan(4);
+      expect(mktAlertOpen()).toBe(true);
+
+      cooled(4);
+      expect(mktAlertOpen()).toBe(false);
+    });
+  });
+
+  describe('arrival estimate', () => {
+    // DEV-1 heading north at 1 km per minute (60 km/h)
+    function moving(minute: number, overrides: Partial<Telemetry> = {}): Telemetry {
+      return reading(minute, { location: { latitude: 52 + minute / 111.195, longitude: 4.89 }, ...overrides });
+    }
+
+    beforeEach(() => {
+      agent.updateTelemetry('SHIP-1', moving(0));
+      agent.setShipmentDetails('SHIP-1', { destination: { latitude: 53, longitude: 4.89 } });
+    });
+
+    it('averages the speed of the primary logger only', () => {
+      for (let minute = 1; minute <= 10; minute++) {
+        agent.updateTelemetry('SHIP-1', moving(minute));
+        // A second logger a few hundred metres off the track on alternate sides
+        const offset = minute % 2 ? 0.004 : -0.004;
+        agent.updateTelemetry('SHIP-1', moving(minute, {
+          deviceId: 'DEV-2',
+          timestamp: new Date(START + (minute + 0.5) * 60000),
+          location: { latitude: 52 + minute / 111.195, longitude: 4.89 + offset }
+        }));
+      }
+
+      expect(agent.getDigitalTwin('SHIP-1')!.eta!.averageSpeedKmh).toBeCloseTo(60, 0);
+    });
+
+    it('leaves positions flagged as suspect out of the distance travelled', () => {
+      for (let minute = 1; minute <= 10; minute++) {
+        const jump = minute === 5 ? { location: { latitude: 52.6, longitude: 4.89 } } : {};
+        agent.updateTelemetry('SHIP-1', moving(minute, jump));
+      }
+
+      const twin = agent.getDigitalTwin('SHIP-1')!;
+      expect(twin.telemetryHistory[5].quality?.suspect).toBe(true);
+      expect(twin.eta!.averageSpeedKmh).toBeCloseTo(60, 0);
+    });
+
+    it('makes no estimate without a destination or route', () => {
+      agent.setShipmentDetails('SHIP-1', { destination: undefined });
+      for (let minute = 1; minute <= 10; minute++) {
+        agent.updateTelemetry('SHIP-1', moving(minute));
+      }
+
+      const twin = agent.getDigitalTwin('SHIP-1')!;
+      expect(twin.eta).toBeUndefined();
+      expect((agent as any).estimateArrival(twin)).toBeUndefined();
+    });
+  });
+
+  describe('alert workflow', () => {
+    let alertId: string;
+
+    beforeEach(() => {
+      agent.updateTelemetry('SHIP-1', temperature(0, 61));
+      alertId = agent.getActiveAlerts('SHIP-1').find(alert => alert.key === 'temperature:max')!.id;
+    });
+
+    it('records each step in the activity and keeps the latest state', () => {
+      agent.acknowledgeAlert('SHIP-1', alertId, 'j.doe', 'Calling the driver');
+      agent.assignAlert('SHIP-1', alertId, 'm.rossi', 'j.doe');
+      agent.addAlertNote('SHIP-1', alertId, 'm.rossi', 'Reefer unit restarted');
+      const alert = agent.escalateAlert('SHIP-1', alertId, 'm.rossi')!;
+
+      expect(alert.activity!.map(entry => [entry.action, entry.by])).toEqual([
+        ['acknowledged', 'j.doe'],
+        ['assigned', 'j.doe'],
+        ['note', 'm.rossi'],
+        ['escalated', 'm.rossi']
+      ]);
+      expect(alert).toMatchObject({ acknowledgedBy: 'j.doe', assignee: 'm.rossi', escalationLevel: 1 });
+      expect(alert.severity).toBe('critical');
+      expect(() => agent.escalateAlert('SHIP-1', alertId, 'm.rossi', { severity: 'low' })).toThrow(/Cannot escalate/);
+    });
+
+    it('resolves by hand with or without naming the operator', () => {
+      const resolved = record(agent, 'alert:resolved');
+      const alert = agent.resolveAlert('SHIP-1', alertId)!;
+
+      expect(alert).toMatchObject({ resolved: true, resolvedBy: undefined });
+      expect(alert.activity || []).toEqual([]);
+      expect(resolved).toEqual([expect.objectContaining({ alertId, auto: false })]);
+      expect(agent.resolveAlert('SHIP-1', alertId, { by: 'j.doe' })).toBe(alert);
+      expect(resolved).toHaveLength(1);
+    });
+
+    it('accepts only notes once the alert is resolved', () => {
+      agent.resolveAlert('SHIP-1', alertId, { by: 'j.doe', note: 'Back in range' });
+
+      expect(() => agent.acknowledgeAlert('SHIP-1', alertId, 'j.doe')).toThrow(/already resolved/);
+      const alert = agent.addAlertNote('SHIP-1', alertId, 'j.doe', 'Door seal replaced')!;
+      expect(alert.activity!.map(entry => entry.action)).toEqual(['resolved', 'note']);
+      expect(agent.acknowledgeAlert('SHIP-1', 'missing', 'j.doe')).toBeUndefined();
+    });
+  });
+});
@@ -1,4 +1,8 @@
 import { EventEmitter } from 'events';
+import { TwinStore, MemoryTwinStore, insertTelemetry } from './TwinStore';
+import { assessTelemetry, isSuspectField, withoutSuspectFields } from './DataQuality';
+import type { TelemetrySignature, TelemetryVerification } from './TelemetrySignature';
+import type { QualityIssue, QualityLimits, TelemetryQuality } from './DataQuality';
 
 // Types
 export interface Telemetry {
@@ -16,12 +20,21 @@ export interface Telemetry {
     vibration?: number;
     shock?: number;
     tilt?: number;
+    door?: 'open' | 'closed';
+    light?: number; // lux inside the cargo space
+    seal?: 'intact' | 'broken'; // tamper-evident seal
   };
+  channels?: Record<string, number>; // custom sensor channels declared by the device type, e.g. co2
   battery?: number;
   signal?: {
     strength?: number;
     network?: string;
   };
+  routeDeviation?: number; // meters from the planned route, set on ingestion
+  position?: string; // where the logger sits, e.g. 'return-air', 'product', 'door'
+  signature?: TelemetrySignature;
+  verification?: TelemetryVerification; // signature check result, set on ingestion
+  quality?: TelemetryQuality; // data-quality findings, set on ingestion
 }
 
 export interface DigitalTwin {
@@ -41,7 +54,11 @@ export interface DigitalTwin {
     vibration?: number;
     shock?: number;
     tilt?: number;
+    door?: 'open' | 'closed';
+    light?: number; // lux inside the cargo space
+    seal?: 'intact' | 'broken'; // tamper-evident seal
   };
+  currentChannels?: Record<string, number>;
   batteryLevel?: number;
   signalInfo?: {
     strength?: number;
@@ -49,164 +66,850 @@ export interface DigitalTwin {
   };
   alerts: Alert[];
   geofence?: Geofence;
+  geofenceState?: GeofenceState;
+  route?: PlannedRoute;
+  routeDeviation?: number; // latest cross-track deviation in meters
+  excursions?: Record<string, ExcursionState>; // keyed by alert condition, e.g. 'temperature:max'
+  meanKineticTemperature?: number; // °C over the whole trip, from the primary device
   thresholds: SensorThresholds;
+  thresholdProfile?: string;
+  // Shipment lifecycle
+  status: ShipmentStatus;
+  statusHistory: StatusTransition[];
+  origin?: ShipmentLocation;
+  destination?: ShipmentLocation;
+  plannedEta?: Date;
+  consignee?: string;
+  eta?: EtaEstimate;
+  stops?: Stop[];
+  doorEvents?: DoorEvent[];
+  stopCandidate?: {
+    location: { latitude: number; longitude: number };
+    since: Date;
+    stopId?: string; // set once the dwell time is reached
+  };
+  // Loggers reporting for this shipment, keyed by deviceId. deviceId above is the
+  // primary device, whose readings also fill currentSensors / batteryLevel / signalInfo.
+  devices?: Record<string, TwinDevice>;
+  positionThresholds?: Record<string, ThresholdOverrides>; // per sensor position, over thresholds
+  // Device health
+  deviceStatus?: 'online' | 'offline';
+  lastReadingAt?: Date; // newest telemetry timestamp received
+  reportingGaps?: ReportingGap[];
+}
+
+// One door opening; open while closedAt is unset
+export interface DoorEvent {
+  id: string;
+  deviceId: string;
+  openedAt: Date;
+  closedAt?: Date;
+  durationMinutes: number;
+  location: { latitude: number; longitude: number };
+  authorized: boolean; // opened inside a geofence zone or at the origin/destination
+  zoneId?: string;
+}
+
+// Latest state of one logger on a multi-device twin
+export interface TwinDevice {
+  deviceId: string;
+  position?: string;
+  lastReadingAt: Date;
+  currentLocation: Telemetry['location'];
+  currentSensors: NonNullable<Telemetry['sensors']>;
+  currentChannels?: Record<string, number>;
+  batteryLevel?: number;
+  signalInfo?: Telemetry['signal'];
+  meanKineticTemperature?: number;
+  mkt?: MktAccumulator;
+}
+
+// Running Arrhenius sums behind a logger's MKT, so it covers the whole trip and not
+// just the readings still in telemetryHistory. A reading is weighted by the time until
+// the next one, so the newest reading is held in last until the next arrives.
+export interface MktAccumulator {
+  activationEnergy: number; // kJ/mol the sums were taken with
+  weighted: number; // Σ Δt·e^(−ΔH/RT), Δt in ms
+  totalWeight: number; // Σ Δt
+  unweighted: number; // Σ e^(−ΔH/RT), used while every reading has the same timestamp
+  samples: number;
+  from?: Date;
+  to?: Date;
+  last?: { timestamp: Date; temperature: number };
+}
+
+// Period with no telemetry; open (no end) while the device is offline
+export interface ReportingGap {
+  start: Date;
+  end?: Date;
+  durationMinutes: number;
 }
 
+// accepted: newest reading, rules evaluated; late: older than the newest reading,
+// stored in history only; duplicate: same device and timestamp already stored
+export type TelemetryIngestResult = 'accepted' | 'late' | 'duplicate';
+
+// Numeric telemetry fields that can be selected and downsampled
+export const TELEMETRY_FIELDS: Record<string, (telemetry: Telemetry) => number | undefined> = {
+  temperature: telemetry => telemetry.sensors?.temperature,
+  humidity: telemetry => telemetry.sensors?.humidity,
+  vibration: telemetry => telemetry.sensors?.vibration,
+  shock: telemetry => telemetry.sensors?.shock,
+  tilt: telemetry => telemetry.sensors?.tilt,
+  light: telemetry => telemetry.sensors?.light,
+  battery: telemetry => telemetry.battery,
+  signal: telemetry => telemetry.signal?.strength,
+  latitude: telemetry => telemetry.location.latitude,
+  longitude: telemetry => telemetry.location.longitude,
+  accuracy: telemetry => telemetry.location.accuracy,
+  routeDeviation: telemetry => telemetry.routeDeviation
+};
+
+// Built-in sensors a device can declare among its capabilities
+export const SENSOR_NAMES: Array<keyof NonNullable<Telemetry['sensors']>> = [
+  'temperature', 'humidity', 'vibration', 'shock', 'tilt', 'door', 'light', 'seal'
+];
+
+// Extractor for a TELEMETRY_FIELDS key or a custom channel, e.g. 'channels.co2'
+export function telemetryField(field: string): ((telemetry: Telemetry) => number | undefined) | undefined {
+  if (TELEMETRY_FIELDS[field]) {
+    return TELEMETRY_FIELDS[field];
+  }
+  const channel = /^channels\.(.+)$/.exec(field)?.[1];
+  return channel ? telemetry => telemetry.channels?.[channel] : undefined;
+}
+
+export interface TelemetryQuery {
+  deviceId?: string; // readings of one logger only
+  from?: Date;
+  to?: Date;
+  fields?: string[]; // see telemetryField(); all fields and reported channels when omitted
+  intervalSeconds?: number; // downsample into buckets of this width
+  limit?: number; // newest points (or buckets) to return
+}
+
+// Flat reading with only the selected fields
+export interface TelemetryPoint {
+  timestamp: Date;
+  deviceId: string;
+  [field: string]: number | string | Date | undefined;
+}
+
+export interface TelemetryBucket {
+  start: Date;
+  end: Date;
+  count: number;
+  fields: Record<string, { min: number; max: number; avg: number }>;
+}
+
+export interface Stop {
+  id: string;
+  location: {
+    latitude: number;
+    longitude: number;
+  };
+  arrivedAt: Date;
+  departedAt?: Date;
+  durationMinutes: number;
+  scheduled: boolean; // inside a geofence zone or at the origin/destination
+  zoneId?: string;
+}
+
+export interface EtaEstimate {
+  estimatedArrival: Date;
+  remainingDistanceMeters: number;
+  averageSpeedKmh: number;
+  method: 'route' | 'great-circle';
+  delayMinutes?: number; // against plannedEta; positive means late
+  computedAt: Date;
+}
+
+export type ShipmentStatus = 'created' | 'loading' | 'in_transit' | 'at_hub' | 'delivered' | 'cancelled';
+
+export interface ShipmentLocation {
+  name?: string;
+  latitude: number;
+  longitude: number;
+}
+
+export interface ShipmentDetails {
+  origin?: ShipmentLocation;
+  destination?: ShipmentLocation;
+  plannedEta?: Date;
+  consignee?: string;
+}
+
+export interface StatusTransition {
+  from?: ShipmentStatus;
+  to: ShipmentStatus;
+  at: Date;
+  reason?: string;
+  by?: string;
+}
+
+// Allowed lifecycle moves; delivered and cancelled are terminal
+export const STATUS_TRANSITIONS: Record<ShipmentStatus, ShipmentStatus[]> = {
+  created: ['loading', 'in_transit', 'cancelled'],
+  loading: ['in_transit', 'cancelled'],
+  in_transit: ['at_hub', 'delivered', 'cancelled'],
+  at_hub: ['loading', 'in_transit', 'delivered', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
 export interface Alert {
   id: string;
-  type: 'temperature' | 'humidity' | 'vibration' | 'shock' | 'battery' | 'geofence' | 'signal';
+  type: 'temperature' | 'humidity' | 'vibration' | 'shock' | 'battery' | 'geofence' | 'signal' | 'offline' | 'delay' | 'stop' | 'door' | 'light' | 'tamper' | 'channel';
   severity: 'low' | 'medium' | 'high' | 'critical';
   message: string;
   value?: number;
   threshold?: number | string;
   timestamp: Date;
   resolved: boolean;
+  // Lifecycle: one alert stays open while its condition persists
+  key?: string; // condition that opened the alert, e.g. 'temperature:max'
+  firstSeenAt?: Date;
+  lastSeenAt?: Date;
+  peakValue?: number;
+  sampleCount?: number;
+  durationMinutes?: number;
+  resolvedAt?: Date;
+  excursion?: Excursion & { cumulativeMinutes: number };
+  deviceId?: string; // logger whose reading triggered a sensor alert
+  position?: string;
+  channel?: string; // custom sensor channel, on 'channel' alerts
+  // Operator workflow
+  acknowledgedAt?: Date;
+  acknowledgedBy?: string;
+  assignee?: string;
+  assignedAt?: Date;
+  escalationLevel?: number; // times the alert has been escalated
+  escalatedAt?: Date;
+  resolvedBy?: string; // set when an operator resolves the alert
+  activity?: AlertActivity[]; // workflow steps and notes, oldest first
+}
+
+// open: not yet acknowledged; acknowledged: an operator is on it; resolved: closed
+export type AlertStatus = 'open' | 'acknowledged' | 'resolved';
+
+export function alertStatus(alert: Alert): AlertStatus {
+  if (alert.resolved) return 'resolved';
+  return alert.acknowledgedAt ? 'acknowledged' : 'open';
+}
+
+export interface AlertActivity {
+  action: 'acknowledged' | 'assigned' | 'note' | 'escalated' | 'resolved';
+  by: string;
+  at: Date;
+  note?: string;
+  assignee?: string; // on 'assigned'
+  severity?: Alert['severity']; // on 'escalated', the new severity
+}
+
+// Cross-shipment alert listing; list filters match any of their values
+export interface AlertFilter {
+  shipmentId?: string;
+  severity?: Alert['severity'][];
+  type?: string[];
+  status?: AlertStatus[];
+  assignee?: string;
+  from?: Date; // by firstSeenAt, or timestamp for alerts without one
+  to?: Date;
+  limit?: number;
+}
+
+export interface Excursion {
+  start: Date;
+  end?: Date;
+  durationMinutes: number;
+}
+
+// Time spent beyond one threshold, derived from telemetry timestamps
+export interface ExcursionState {
+  cumulativeMinutes: number;
+  count: number;
+  current?: Excursion;
+  last?: Excursion;
+  lastSampleAt?: Date;
+  lastViolated?: boolean;
+}
+
+// GeoJSON geometry; positions are [longitude, latitude]
+export type GeofenceGeometry =
+  | { type: 'Polygon'; coordinates: number[][][] }
+  | { type: 'MultiPolygon'; coordinates: number[][][][] };
+
+export interface GeofenceZone {
+  id: string;
+  name?: string;
+  geometry?: GeofenceGeometry;
+  center?: {
+    latitude: number;
+    longitude: number;
+  };
+  radius?: number; // in meters
 }
 
 export interface Geofence {
-  center: {
+  // Boundary the shipment must stay within: a circle, a polygon, or both
+  center?: {
     latitude: number;
     longitude: number;
   };
-  radius: number; // in meters
+  radius?: number; // in meters
+  geometry?: GeofenceGeometry;
   allowedZones?: Array<{
     latitude: number;
     longitude: number;
     radius: number;
   }>;
+  // Named zones (warehouses, ports) that raise enter/exit events
+  zones?: GeofenceZone[];
+}
+
+export interface GeofenceState {
+  insideBoundary: boolean;
+  zones: string[]; // ids of zones the shipment is currently inside
+}
+
+export interface PlannedRoute {
+  waypoints: Array<{
+    latitude: number;
+    longitude: number;
+  }>;
+  corridorWidth: number; // in meters, centred on the route (width / 2 either side)
+}
+
+// hysteresis: how far a reading must come back inside the limit before an open alert auto-resolves.
+// maxExcursionMinutes / maxCumulativeMinutes: when set, an alert is only raised once a single
+// excursion, or the total time beyond the limit, lasts longer than this.
+export interface ExcursionLimits {
+  hysteresis?: number;
+  maxExcursionMinutes?: number;
+  maxCumulativeMinutes?: number;
 }
 
 export interface SensorThresholds {
-  temperature: {
+  temperature: ExcursionLimits & {
     min: number;
     max: number;
   };
-  humidity: {
+  humidity: ExcursionLimits & {
     max: number;
   };
-  vibration: {
+  vibration: ExcursionLimits & {
     max: number;
   };
-  shock: {
+  shock: ExcursionLimits & {
     max: number;
   };
   battery: {
     min: number;
+    hysteresis?: number;
   };
   signal: {
     min: number;
+    hysteresis?: number;
+  };
+  // A shipment staying within radius (meters) for minDwellMinutes counts as a stop
+  stop?: {
+    radius: number;
+    minDwellMinutes: number;
+  };
+  // A device is offline once it has not reported for expectedIntervalSeconds × offlineMultiplier
+  reporting?: {
+    expectedIntervalSeconds: number;
+    offlineMultiplier: number;
+  };
+  // Minutes the ETA may run past plannedEta before a delay alert opens
+  delay?: {
+    maxMinutes: number;
+    hysteresis?: number;
   };
+  // Light inside a closed cargo space, in lux
+  light?: {
+    max: number;
+    hysteresis?: number;
+  };
+  // Data-quality checks run before the rules
+  quality?: QualityLimits;
+  // Mean kinetic temperature limit in °C; activationEnergy in kJ/mol. hysteresis
+  // defaults to the temperature threshold's.
+  mkt?: {
+    max: number;
+    activationEnergy?: number;
+    hysteresis?: number;
+  };
+  // Limits for custom sensor channels, keyed by channel name
+  channels?: Record<string, ChannelThreshold>;
 }
 
-// Default thresholds
-const DEFAULT_THRESHOLDS: SensorThresholds = {
-  temperature: { min: -20, max: 60 },
-  humidity: { max: 80 },
-  vibration: { max: 5 },
-  shock: { max: 10 },
-  battery: { min: 20 },
-  signal: { min: -90 }
+export interface ChannelThreshold extends ExcursionLimits {
+  min?: number;
+  max?: number;
+  severity?: Alert['severity']; // default medium
+}
+
+// Partial thresholds; each sensor entry is merged into the current one
+export type ThresholdOverrides = {
+  [K in keyof SensorThresholds]?: Partial<NonNullable<SensorThresholds[K]>>;
 };
 
-export class TrackingAgent extends EventEmitter {
-  private digitalTwins: Map<string, DigitalTwin>;
-  private telemetryEmitter: EventEmitter;
-  private maxHistorySize: number;
+export interface MeanKineticTemperature {
+  meanKineticTemperature: number; // °C
+  activationEnergy: number; // kJ/mol
+  samples: number;
+  from: Date;
+  to: Date;
+}
 
-  constructor(telemetryEmitter: EventEmitter, maxHistorySize: number = 1000) {
-    super();
-    this.digitalTwins = new Map();
-    this.telemetryEmitter = telemetryEmitter;
-    this.maxHistorySize = maxHistorySize;
-    
-    this.setupEventListeners();
+// A rule evaluated against one telemetry reading
+interface RuleCondition {
+  key: string;
+  type: Alert['type'];
+  severity: Alert['severity'];
+  message: string;
+  value?: number;
+  threshold?: number | string;
+  direction?: 'above' | 'below'; // which way the peak value is tracked
+  violated: boolean; // reading is beyond the limit
+  cleared: boolean; // reading is back inside the hysteresis band
+  limits?: ExcursionLimits; // time-in-violation limits, if any
+  deviceId?: string; // set on sensor conditions
+  position?: string;
+  channel?: string;
+}
+
+// Named threshold profiles, applied on top of the defaults
+export const THRESHOLD_PROFILES: Record<string, ThresholdOverrides> = {
+  frozen: {
+    temperature: { min: -30, max: -18, hysteresis: 1, maxExcursionMinutes: 30 },
+    humidity: { max: 90 }
+  },
+  chilled: {
+    temperature: { min: 2, max: 8, hysteresis: 0.5, maxCumulativeMinutes: 60 },
+    humidity: { max: 85 },
+    mkt: { max: 8 }
+  },
+  ambient: {
+    temperature: { min: 15, max: 25, hysteresis: 1 },
+    humidity: { max: 60 }
+  },
+  fragile: {
+    vibration: { max: 2, hysteresis: 0.2 },
+    shock: { max: 4, hysteresis: 0.5 }
   }
+};
 
-  private setupEventListeners(): void {
-    // Subscribe to telemetry events
-    this.telemetryEmitter.on('telemetry:received', (telemetry: Telemetry) => {
-      this.updateTelemetry(telemetry.shipmentId, telemetry);
+// Merge overrides sensor by sensor (and channel by channel), copying so twins never
+// share threshold objects
+function mergeThresholds(base: SensorThresholds, ...overrides: ThresholdOverrides[]): SensorThresholds {
+  const merged: any = {};
+  const mergeChannels = (channels: Record<string, ChannelThreshold> = {}, override: Record<string, any> = {}) => {
+    const result: Record<string, ChannelThreshold> = {};
+    new Set([...Object.keys(channels), ...Object.keys(override)]).forEach(name => {
+      result[name] = { ...channels[name], ...override[name] };
     });
+    return result;
+  };
 
-    // Subscribe to existing alert events and process them
-    this.telemetryEmitter.on('telemetry:temperature-alert', (data: any) => {
-      this.handleAlert(data.shipmentId, 'temperature', data.alertValue, data.threshold);
+  (Object.keys(base) as Array<keyof SensorThresholds>).forEach(key => {
+    merged[key] = key === 'channels' ? mergeChannels(base.channels) : { ...base[key] };
+  });
+  overrides.forEach(override => {
+    (Object.keys(override) as Array<keyof SensorThresholds>).forEach(key => {
+      merged[key] = key === 'channels'
+        ? mergeChannels(merged.channels, override.channels)
+        : { ...merged[key], ...override[key] };
     });
+  });
 
-    this.telemetryEmitter.on('telemetry:humidity-alert', (data: any) => {
-      this.handleAlert(data.shipmentId, 'humidity', data.alertValue, data.threshold);
-    });
+  if (merged.temperature.min >= merged.temperature.max) {
+    throw new Error(`Temperature min (${merged.temperature.min}) must be below max (${merged.temperature.max})`);
+  }
+  Object.entries(merged.channels || {}).forEach(([name, limits]: [string, any]) => {
+    if (limits.min !== undefined && limits.max !== undefined && limits.min >= limits.max) {
+      throw new Error(`Channel ${name} min (${limits.min}) must be below max (${limits.max})`);
+    }
+  });
+  return merged;
+}
 
-    this.telemetryEmitter.on('telemetry:vibration-alert', (data: any) => {
-      this.handleAlert(data.shipmentId, 'vibration', data.alertValue, data.threshold);
-    });
+// Throws if new shipment thresholds would make any position's overrides invalid
+function checkPositionThresholds(thresholds: SensorThresholds, positionThresholds: Record<string, ThresholdOverrides> = {}): void {
+  Object.entries(positionThresholds).forEach(([position, overrides]) => {
+    try {
+      mergeThresholds(thresholds, overrides);
+    } catch (error) {
+      throw new Error(`Thresholds for position ${position} would become invalid: ${(error as Error).message}`);
+    }
+  });
+}
 
-    this.telemetryEmitter.on('telemetry:shock-alert', (data: any) => {
-      this.handleAlert(data.shipmentId, 'shock', data.alertValue, data.threshold);
-    });
+// Stops within this distance of the origin or destination count as scheduled
+const DESIGNATED_LOCATION_RADIUS_M = 1000;
 
-    this.telemetryEmitter.on('telemetry:battery-low', (data: any) => {
-      this.handleAlert(data.shipmentId, 'battery', data.alertValue, data.threshold);
-    });
+// Readings from this far back are used for the average speed behind the ETA
+const ETA_SPEED_WINDOW_MS = 60 * 60 * 1000;
+const MIN_ETA_SPEED_KMH = 1;
+
+// ICH Q1A default activation energy for MKT, kJ/mol
+const DEFAULT_ACTIVATION_ENERGY = 83.144;
+const GAS_CONSTANT = 8.3144598; // J/(mol·K)
+
+function arrheniusFactor(temperature: number, activationEnergy: number): number {
+  return Math.exp(-(activationEnergy * 1000) / GAS_CONSTANT / (temperature + 273.15));
+}
+
+// Fold one trusted temperature reading into the sums; readings must arrive in time order
+function addMktReading(acc: MktAccumulator, timestamp: Date, temperature: number): void {
+  if (acc.last) {
+    const weight = Math.max(0, new Date(timestamp).getTime() - new Date(acc.last.timestamp).getTime());
+    const factor = arrheniusFactor(acc.last.temperature, acc.activationEnergy);
+    acc.weighted += weight * factor;
+    acc.totalWeight += weight;
+    acc.unweighted += factor;
+    acc.samples++;
+    acc.from = acc.from || acc.last.timestamp;
+    acc.to = acc.last.timestamp;
   }
+  acc.last = { timestamp, temperature };
+}
+
+function mktFromReadings(readings: Telemetry[], activationEnergy: number): MktAccumulator {
+  const acc: MktAccumulator = { activationEnergy, weighted: 0, totalWeight: 0, unweighted: 0, samples: 0 };
+  readings
+    .filter(reading => reading.sensors?.temperature !== undefined)
+    .forEach(reading => addMktReading(acc, reading.timestamp, reading.sensors!.temperature!));
+  return acc;
+}
+
+// Time-weighted mean kinetic temperature. With fewer than two distinct timestamps every
+// reading counts equally.
+function mktResult(acc: MktAccumulator): MeanKineticTemperature | undefined {
+  if (!acc.last) return undefined;
 
-  public updateTelemetry(shipmentId: string, telemetry: Telemetry): void {
-    let twin = this.digitalTwins.get(shipmentId);
+  const lastFactor = arrheniusFactor(acc.last.temperature, acc.activationEnergy);
+  const samples = acc.samples + 1;
+  const mean = acc.totalWeight > 0
+    ? acc.weighted / acc.totalWeight
+    : (acc.unweighted + lastFactor) / samples;
+  const kelvin = (acc.activationEnergy * 1000) / GAS_CONSTANT / -Math.log(mean);
+
+  return {
+    meanKineticTemperature: Math.round((kelvin - 273.15) * 100) / 100,
+    activationEnergy: acc.activationEnergy,
+    samples,
+    from: acc.from || acc.last.timestamp,
+    to: acc.last.timestamp
+  };
+}
+
+const SEVERITY_RANK: Record<Alert['severity'], number> = { low: 0, medium: 1, high: 2, critical: 3 };
+
+// Default thresholds
+const DEFAULT_THRESHOLDS: SensorThresholds = {
+  temperature: { min: -20, max: 60, hysteresis: 1 },
+  humidity: { max: 80, hysteresis: 2 },
+  vibration: { max: 5, hysteresis: 0.5 },
+  shock: { max: 10, hysteresis: 1 },
+  battery: { min: 20, hysteresis: 2 },
+  signal: { min: -90, hysteresis: 3 },
+  stop: { radius: 150, minDwellMinutes: 20 },
+  light: { max: 50, hysteresis: 10 },
+  quality: { maxSpeedKmh: 250, anomalyZScore: 4, anomalyWindow: 30, confirmSamples: 2 },
+  reporting: { expectedIntervalSeconds: 60, offlineMultiplier: 3 }
+};
+
+export class TrackingAgent extends EventEmitter {
+  private store: TwinStore;
+  private maxHistorySize: number;
+  private watchdog?: NodeJS.Timeout;
+
+  constructor(maxHistorySize: number = 1000, store: TwinStore = new MemoryTwinStore()) {
+    super();
+    this.store = store;
+    this.maxHistorySize = maxHistorySize;
+  }
+
+  // Apply one reading. Readings older than the newest one already received from the
+  // same device only fill in telemetryHistory; current state and alerts follow the
+  // newest readings.
+  public updateTelemetry(shipmentId: string, telemetry: Telemetry): TelemetryIngestResult {
+    let twin = this.store.get(shipmentId);
+    let isTwinLatest = true;
     
+    let confirmed: Telemetry[] = [];
+
     if (!twin) {
       // Create new digital twin
       twin = this.createDigitalTwin(telemetry);
-      this.digitalTwins.set(shipmentId, twin);
+      this.assessQuality(twin, telemetry);
     } else {
-      // Update existing twin
-      twin.lastUpdated = new Date();
-      twin.currentLocation = telemetry.location;
-      twin.currentSensors = telemetry.sensors || {};
-      twin.batteryLevel = telemetry.battery || 0;
-      twin.signalInfo = telemetry.signal || {};
+      const at = new Date(telemetry.timestamp);
+      const latest = twin.lastReadingAt || twin.telemetryHistory[twin.telemetryHistory.length - 1]?.timestamp;
+      const deviceLatest = twin.devices?.[telemetry.deviceId]?.lastReadingAt
+        || (telemetry.deviceId === twin.deviceId ? latest : undefined);
+      isTwinLatest = !latest || at >= new Date(latest);
 
-      // Add to history and maintain size limit
-      twin.telemetryHistory.push(telemetry);
+      // Add to history in timestamp order and maintain size limit
+      if (!insertTelemetry(twin.telemetryHistory, telemetry)) {
+        return 'duplicate';
+      }
       if (twin.telemetryHistory.length > this.maxHistorySize) {
         twin.telemetryHistory.shift(); // Remove oldest entry
       }
+      confirmed = this.assessQuality(twin, telemetry);
+
+      // Update existing twin; shipments registered ahead of time get their device here
+      twin.deviceId = twin.deviceId || telemetry.deviceId;
+      twin.lastUpdated = new Date();
+
+      if (deviceLatest && at < new Date(deviceLatest)) {
+        this.store.save(twin, [telemetry], confirmed);
+        this.emit('digital-twin:updated', { shipmentId, twin, telemetry, confirmed });
+        return 'late';
+      }
+
+      // The newest reading from any logger places the shipment, unless its fix jumped
+      if (isTwinLatest && !isSuspectField(telemetry, 'location')) {
+        twin.currentLocation = telemetry.location;
+      }
+      if (telemetry.deviceId === twin.deviceId) {
+        twin.currentSensors = telemetry.sensors || {};
+        twin.currentChannels = telemetry.channels;
+        twin.batteryLevel = telemetry.battery || 0;
+        twin.signalInfo = telemetry.signal || {};
+      }
     }
 
-    // Check for rule violations
-    this.checkRules(twin, telemetry);
+    this.updateDeviceState(twin, telemetry);
+
+    // Check for rule violations. Suspect values raise no alerts until later readings
+    // confirm them; a suspect position skips the location rules.
+    const screened = withoutSuspectFields(telemetry);
+    this.checkRules(twin, screened, isTwinLatest && !isSuspectField(telemetry, 'location'));
+    telemetry.routeDeviation = screened.routeDeviation;
 
-    // Emit update event
+    // Persist twin state together with the new reading
+    this.store.save(twin, [telemetry], confirmed);
+
+    // Emit update event, with the earlier readings this one confirmed
     this.emit('digital-twin:updated', {
       shipmentId,
       twin,
-      telemetry
+      telemetry,
+      confirmed
     });
+    return 'accepted';
+  }
+
+  // Run the data-quality checks against the device's earlier readings. Confirmations
+  // also update those earlier readings, which are returned so they can be persisted.
+  private assessQuality(twin: DigitalTwin, telemetry: Telemetry): Telemetry[] {
+    const at = new Date(telemetry.timestamp).getTime();
+    const previous = twin.telemetryHistory.filter(reading =>
+      reading.deviceId === telemetry.deviceId && new Date(reading.timestamp).getTime() < at
+    );
+    const position = telemetry.position || twin.devices?.[telemetry.deviceId]?.position;
+    const limits = this.getThresholdsFor(twin, position).quality || DEFAULT_THRESHOLDS.quality!;
+
+    const unconfirmed = (reading: Telemetry) => reading.quality?.findings.filter(finding => !finding.confirmed).length || 0;
+    const suspects = previous
+      .filter(reading => reading.quality?.suspect)
+      .map(reading => ({ reading, unconfirmed: unconfirmed(reading) }));
+
+    telemetry.quality = assessTelemetry(telemetry, previous, limits);
+    if (telemetry.quality.suspect) {
+      this.emit('telemetry:suspect', {
+        shipmentId: twin.shipmentId,
+        deviceId: telemetry.deviceId,
+        timestamp: telemetry.timestamp,
+        quality: telemetry.quality
+      });
+    }
+    return suspects.filter(suspect => unconfirmed(suspect.reading) < suspect.unconfirmed).map(suspect => suspect.reading);
+  }
+
+  private updateDeviceState(twin: DigitalTwin, telemetry: Telemetry): void {
+    twin.devices = twin.devices || {};
+    const previous = twin.devices[telemetry.deviceId];
+
+    twin.devices[telemetry.deviceId] = {
+      deviceId: telemetry.deviceId,
+      position: telemetry.position || previous?.position,
+      lastReadingAt: new Date(telemetry.timestamp),
+      currentLocation: telemetry.location,
+      currentSensors: telemetry.sensors || {},
+      currentChannels: telemetry.channels,
+      batteryLevel: telemetry.battery,
+      signalInfo: telemetry.signal,
+      meanKineticTemperature: previous?.meanKineticTemperature,
+      mkt: previous?.mkt
+    };
+  }
+
+  // Name the sensor position a logger reports from; used to pick position thresholds
+  public setDevicePosition(shipmentId: string, deviceId: string, position: string): TwinDevice | undefined {
+    const device = this.store.get(shipmentId)?.devices?.[deviceId];
+    if (!device) return undefined;
+
+    device.position = position;
+    this.store.save(this.store.get(shipmentId)!);
+    return device;
+  }
+
+  // Thresholds for loggers at one sensor position, e.g. tighter limits on the product probe
+  public setPositionThresholds(shipmentId: string, position: string, overrides: ThresholdOverrides): void {
+    const twin = this.store.get(shipmentId);
+    if (!twin) return;
+
+    // Validate the merged result before storing the overrides
+    mergeThresholds(twin.thresholds, overrides);
+    twin.positionThresholds = { ...twin.positionThresholds, [position]: overrides };
+    this.store.save(twin);
+    this.emit('thresholds:updated', { shipmentId, thresholds: twin.thresholds, position, overrides });
+  }
+
+  // Threshold changes are refused if they would leave a position's merged thresholds
+  // invalid. Should a stored combination be invalid anyway, the shipment thresholds
+  // apply, so ingestion never fails on it.
+  private getThresholdsFor(twin: DigitalTwin, position?: string): SensorThresholds {
+    const overrides = position ? twin.positionThresholds?.[position] : undefined;
+    if (!overrides) {
+      return twin.thresholds;
+    }
+    try {
+      return mergeThresholds(twin.thresholds, overrides);
+    } catch (error) {
+      return twin.thresholds;
+    }
+  }
+
+  // Apply readings uploaded in bulk (e.g. buffered while the device was offline) in timestamp order
+  public updateTelemetryBatch(readings: Telemetry[]): Record<TelemetryIngestResult, number> {
+    const counts: Record<TelemetryIngestResult, number> = { accepted: 0, late: 0, duplicate: 0 };
+
+    [...readings]
+      .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime())
+      .forEach(telemetry => {
+        counts[this.updateTelemetry(telemetry.shipmentId, telemetry)]++;
+      });
+
+    return counts;
   }
 
   public getDigitalTwin(shipmentId: string): DigitalTwin | undefined {
-    return this.digitalTwins.get(shipmentId);
+    return this.store.get(shipmentId);
   }
 
   public getAllDigitalTwins(): DigitalTwin[] {
-    return Array.from(this.digitalTwins.values());
+    return this.store.getAll();
+  }
+
+  // Flush and release the storage backend
+  public close(): void {
+    this.stopWatchdog();
+    this.store.close();
+  }
+
+  // Periodically flag twins whose device has stopped reporting
+  public startWatchdog(checkIntervalMs: number = 30000): void {
+    this.stopWatchdog();
+    this.watchdog = setInterval(() => this.checkDeviceHealth(), checkIntervalMs);
+    this.watchdog.unref();
+  }
+
+  public stopWatchdog(): void {
+    if (this.watchdog) {
+      clearInterval(this.watchdog);
+      this.watchdog = undefined;
+    }
+  }
+
+  public checkDeviceHealth(now: Date = new Date()): void {
+    this.store.getAll().forEach(twin => {
+      if (!twin.deviceId || twin.deviceStatus === 'offline' || twin.status === 'delivered' || twin.status === 'cancelled') {
+        return;
+      }
+
+      const { expectedIntervalSeconds, offlineMultiplier } = this.getReportingLimits(twin);
+      const silentSeconds = (now.getTime() - new Date(twin.lastUpdated).getTime()) / 1000;
+      if (silentSeconds <= expectedIntervalSeconds * offlineMultiplier) {
+        return;
+      }
+
+      const start = twin.lastReadingAt || twin.lastUpdated;
+      twin.deviceStatus = 'offline';
+      twin.reportingGaps = [...(twin.reportingGaps || []), {
+        start,
+        durationMinutes: (now.getTime() - new Date(start).getTime()) / 60000
+      }];
+
+      this.applyCondition(twin, {
+        key: 'signal:offline',
+        type: 'offline',
+        severity: 'high',
+        message: `Device ${twin.deviceId} has not reported for ${Math.round(silentSeconds / 60)} minutes`,
+        value: Math.round(silentSeconds),
+        threshold: expectedIntervalSeconds * offlineMultiplier,
+        violated: true,
+        cleared: false
+      }, now);
+
+      this.store.save(twin);
+      this.emit('device:offline', { shipmentId: twin.shipmentId, deviceId: twin.deviceId, lastReadingAt: start });
+    });
   }
 
   public setGeofence(shipmentId: string, geofence: Geofence): void {
-    const twin = this.digitalTwins.get(shipmentId);
+    const twin = this.store.get(shipmentId);
     if (twin) {
       twin.geofence = geofence;
+      twin.geofenceState = undefined;
+      this.store.save(twin);
       this.emit('geofence:set', { shipmentId, geofence });
     }
   }
 
-  public setThresholds(shipmentId: string, thresholds: Partial<SensorThresholds>): void {
-    const twin = this.digitalTwins.get(shipmentId);
+  public setRoute(shipmentId: string, route: PlannedRoute): void {
+    const twin = this.store.get(shipmentId);
     if (twin) {
-      twin.thresholds = { ...twin.thresholds, ...thresholds };
-      this.emit('thresholds:updated', { shipmentId, thresholds: twin.thresholds });
+      twin.route = route;
+      twin.routeDeviation = this.calculateRouteDeviation(twin.currentLocation, route);
+      this.store.save(twin);
+      this.emit('route:set', { shipmentId, route });
     }
   }
 
+  public setThresholds(shipmentId: string, thresholds: ThresholdOverrides): void {
+    const twin = this.store.get(shipmentId);
+    if (twin) {
+      const merged = mergeThresholds(twin.thresholds, thresholds);
+      checkPositionThresholds(merged, twin.positionThresholds);
+      twin.thresholds = merged;
+      this.store.save(twin);
+      this.emit('thresholds:updated', { shipmentId, thresholds: twin.thresholds, profile: twin.thresholdProfile });
+    }
+  }
+
+  // Reset a shipment's thresholds to a named profile, plus optional overrides
+  public assignThresholdProfile(shipmentId: string, profile: string, overrides: ThresholdOverrides = {}): void {
+    const twin = this.store.get(shipmentId);
+    if (!twin) return;
+
+    if (!THRESHOLD_PROFILES[profile]) {
+      throw new Error(`Unknown threshold profile: ${profile}`);
+    }
+
+    const merged = mergeThresholds(DEFAULT_THRESHOLDS, THRESHOLD_PROFILES[profile], overrides);
+    checkPositionThresholds(merged, twin.positionThresholds);
+    twin.thresholdProfile = profile;
+    twin.thresholds = merged;
+    this.store.save(twin);
+    this.emit('thresholds:updated', { shipmentId, thresholds: twin.thresholds, profile });
+  }
+
   private createDigitalTwin(telemetry: Telemetry): DigitalTwin {
     return {
       shipmentId: telemetry.shipmentId,
@@ -219,12 +922,169 @@ export class TrackingAgent extends EventEmitter {
       batteryLevel: telemetry.battery || 0,
       signalInfo: telemetry.signal || {},
       alerts: [],
-      thresholds: { ...DEFAULT_THRESHOLDS }
+      thresholds: mergeThresholds(DEFAULT_THRESHOLDS),
+      status: 'created',
+      statusHistory: [{ to: 'created', at: new Date() }]
     };
   }
 
-  private checkRules(twin: DigitalTwin, telemetry: Telemetry): void {
-    const alerts: Alert[] = [];
+  // Create or update the shipment details of a twin. A twin that does not exist yet
+  // is registered at its origin and picks up its device with the first reading.
+  public setShipmentDetails(shipmentId: string, details: ShipmentDetails): DigitalTwin | undefined {
+    let twin = this.store.get(shipmentId);
+
+    if (!twin) {
+      if (!details.origin) return undefined;
+
+      const now = new Date();
+      twin = {
+        shipmentId,
+        deviceId: '',
+        createdAt: now,
+        lastUpdated: now,
+        currentLocation: { latitude: details.origin.latitude, longitude: details.origin.longitude },
+        telemetryHistory: [],
+        alerts: [],
+        thresholds: mergeThresholds(DEFAULT_THRESHOLDS),
+        status: 'created',
+        statusHistory: [{ to: 'created', at: now }]
+      };
+    }
+
+    Object.assign(twin, details);
+    this.store.save(twin);
+    this.emit('shipment:updated', { shipmentId, details });
+    return twin;
+  }
+
+  public getAllowedTransitions(shipmentId: string): ShipmentStatus[] {
+    const twin = this.store.get(shipmentId);
+    return twin ? STATUS_TRANSITIONS[twin.status || 'created'] : [];
+  }
+
+  public transitionStatus(
+    shipmentId: string,
+    to: ShipmentStatus,
+    options: { reason?: string; by?: string } = {}
+  ): StatusTransition | undefined {
+    const twin = this.store.get(shipmentId);
+    if (!twin) return undefined;
+
+    const from = twin.status || 'created';
+    if (!STATUS_TRANSITIONS[from].includes(to)) {
+      throw new Error(`Cannot change shipment status from ${from} to ${to}`);
+    }
+
+    const transition: StatusTransition = { from, to, at: new Date(), ...options };
+    twin.status = to;
+    twin.statusHistory = [...(twin.statusHistory || []), transition];
+    this.store.save(twin);
+
+    this.emit('shipment:status-changed', { shipmentId, from, to, transition });
+    return transition;
+  }
+
+  private checkRules(twin: DigitalTwin, telemetry: Telemetry, isTwinLatest: boolean = true): void {
+    const conditions: RuleCondition[] = this.checkSensorRules(twin, telemetry);
+    const { thresholds } = twin;
+
+    // Location rules follow the newest reading from any of the shipment's loggers
+    if (isTwinLatest) {
+      // Geofence transitions
+      if (twin.geofence) {
+        const insideBoundary = this.checkGeofenceTransitions(twin, telemetry);
+        conditions.push({
+          key: 'geofence:boundary',
+          type: 'geofence',
+          severity: 'high',
+          message: `Shipment has left the designated geofence area`,
+          threshold: 'geofence boundary',
+          violated: !insideBoundary,
+          cleared: insideBoundary
+        });
+      }
+
+      // Route corridor check
+      if (twin.route) {
+        const deviation = this.calculateRouteDeviation(telemetry.location, twin.route);
+        const allowedDeviation = twin.route.corridorWidth / 2;
+        telemetry.routeDeviation = deviation;
+        twin.routeDeviation = deviation;
+
+        conditions.push({
+          key: 'geofence:route',
+          type: 'geofence',
+          severity: 'high',
+          message: `Shipment is ${Math.round(deviation)}m off the planned route (corridor allows ${allowedDeviation}m either side)`,
+          value: Math.round(deviation),
+          threshold: allowedDeviation,
+          direction: 'above',
+          violated: deviation > allowedDeviation,
+          cleared: deviation <= allowedDeviation
+        });
+      }
+
+      // Stop / dwell detection
+      const stop = this.detectStop(twin, telemetry);
+      if (stop) {
+        conditions.push({
+          key: 'stop:unscheduled',
+          type: 'stop',
+          severity: 'high',
+          message: `Unscheduled stop for ${Math.round(stop.durationMinutes)} minutes outside designated zones`,
+          value: Math.round(stop.durationMinutes),
+          threshold: thresholds.stop?.minDwellMinutes,
+          direction: 'above',
+          violated: !stop.departedAt && !stop.scheduled,
+          cleared: !!stop.departedAt
+        });
+      }
+
+      if (twin.status !== 'delivered' && twin.status !== 'cancelled' && (twin.destination || twin.route)) {
+        const eta = this.estimateArrival(twin);
+        if (eta) {
+          const wasDelayed = (twin.eta?.delayMinutes || 0) > 0;
+          twin.eta = eta;
+
+          if (eta.delayMinutes !== undefined) {
+            const { maxMinutes, hysteresis = 0 } = thresholds.delay || { maxMinutes: 0 };
+            const delay = Math.round(eta.delayMinutes);
+
+            if (eta.delayMinutes > 0 && !wasDelayed) {
+              this.emit('eta:delayed', { shipmentId: twin.shipmentId, eta, plannedEta: twin.plannedEta });
+            } else if (eta.delayMinutes <= 0 && wasDelayed) {
+              this.emit('eta:recovered', { shipmentId: twin.shipmentId, eta, plannedEta: twin.plannedEta });
+            }
+
+            conditions.push({
+              key: 'delay:eta',
+              type: 'delay',
+              severity: 'medium',
+              message: `Estimated arrival ${eta.estimatedArrival.toISOString()} is ${delay} minutes past the planned delivery time`,
+              value: delay,
+              threshold: maxMinutes,
+              direction: 'above',
+              violated: eta.delayMinutes > maxMinutes,
+              cleared: eta.delayMinutes <= maxMinutes - hysteresis
+            });
+          }
+        }
+      }
+    }
+
+    // Device reporting gaps and offline recovery
+    conditions.push(this.trackReporting(twin, telemetry));
+
+    conditions.forEach(condition => this.applyCondition(twin, condition, new Date(telemetry.timestamp), telemetry));
+  }
+
+  // Sensor, battery and signal limits for the logger that sent the reading, using the
+  // thresholds of its sensor position. Loggers other than the primary device get their
+  // own alerts, keyed e.g. 'temperature:max@DEV-002'.
+  private checkSensorRules(twin: DigitalTwin, telemetry: Telemetry): RuleCondition[] {
+    const conditions: RuleCondition[] = [];
+    const position = twin.devices?.[telemetry.deviceId]?.position;
+    const thresholds = this.getThresholdsFor(twin, position);
 
     // Check sensor thresholds
     if (telemetry.sensors) {
@@ -232,101 +1092,609 @@ export class TrackingAgent extends EventEmitter {
 
       // Temperature check
       if (temperature !== undefined) {
-        if (temperature < twin.thresholds.temperature.min || temperature > twin.thresholds.temperature.max) {
-          alerts.push(this.createAlert(
-            'temperature',
-            temperature < twin.thresholds.temperature.min ? 'critical' : 'high',
-            `Temperature ${temperature}°C is outside safe range (${twin.thresholds.temperature.min}°C to ${twin.thresholds.temperature.max}°C)`,
-            temperature,
-            `${twin.thresholds.temperature.min}°C to ${twin.thresholds.temperature.max}°C`
-          ));
-        }
+        const { min, max, hysteresis = 0 } = thresholds.temperature;
+        const range = `${min}°C to ${max}°C`;
+        conditions.push({
+          key: 'temperature:max',
+          type: 'temperature',
+          severity: 'high',
+          message: `Temperature ${temperature}°C is outside safe range (${range})`,
+          value: temperature,
+          threshold: range,
+          direction: 'above',
+          violated: temperature > max,
+          cleared: temperature <= max - hysteresis,
+          limits: thresholds.temperature
+        });
+        conditions.push({
+          key: 'temperature:min',
+          type: 'temperature',
+          severity: 'critical',
+          message: `Temperature ${temperature}°C is outside safe range (${range})`,
+          value: temperature,
+          threshold: range,
+          direction: 'below',
+          violated: temperature < min,
+          cleared: temperature >= min + hysteresis,
+          limits: thresholds.temperature
+        });
       }
 
       // Humidity check
-      if (humidity !== undefined && humidity > twin.thresholds.humidity.max) {
-        alerts.push(this.createAlert(
-          'humidity',
-          'medium',
-          `Humidity ${humidity}% exceeds maximum threshold of ${twin.thresholds.humidity.max}%`,
-          humidity,
-          twin.thresholds.humidity.max
-        ));
+      if (humidity !== undefined) {
+        const { max, hysteresis = 0 } = thresholds.humidity;
+        conditions.push({
+          key: 'humidity:max',
+          type: 'humidity',
+          severity: 'medium',
+          message: `Humidity ${humidity}% exceeds maximum threshold of ${max}%`,
+          value: humidity,
+          threshold: max,
+          direction: 'above',
+          violated: humidity > max,
+          cleared: humidity <= max - hysteresis,
+          limits: thresholds.humidity
+        });
       }
 
       // Vibration check
-      if (vibration !== undefined && vibration > twin.thresholds.vibration.max) {
-        alerts.push(this.createAlert(
-          'vibration',
-          'high',
-          `Vibration ${vibration}g exceeds maximum threshold of ${twin.thresholds.vibration.max}g`,
-          vibration,
-          twin.thresholds.vibration.max
-        ));
+      if (vibration !== undefined) {
+        const { max, hysteresis = 0 } = thresholds.vibration;
+        conditions.push({
+          key: 'vibration:max',
+          type: 'vibration',
+          severity: 'high',
+          message: `Vibration ${vibration}g exceeds maximum threshold of ${max}g`,
+          value: vibration,
+          threshold: max,
+          direction: 'above',
+          violated: vibration > max,
+          cleared: vibration <= max - hysteresis,
+          limits: thresholds.vibration
+        });
       }
 
       // Shock check
-      if (shock !== undefined && shock > twin.thresholds.shock.max) {
-        alerts.push(this.createAlert(
-          'shock',
-          'critical',
-          `Shock ${shock}g exceeds maximum threshold of ${twin.thresholds.shock.max}g`,
-          shock,
-          twin.thresholds.shock.max
-        ));
+      if (shock !== undefined) {
+        const { max, hysteresis = 0 } = thresholds.shock;
+        conditions.push({
+          key: 'shock:max',
+          type: 'shock',
+          severity: 'critical',
+          message: `Shock ${shock}g exceeds maximum threshold of ${max}g`,
+          value: shock,
+          threshold: max,
+          direction: 'above',
+          violated: shock > max,
+          cleared: shock <= max - hysteresis,
+          limits: thresholds.shock
+        });
+      }
+    }
+
+    // Door, light and seal checks
+    if (telemetry.sensors?.door !== undefined) {
+      const event = this.trackDoor(twin, telemetry);
+      if (event) {
+        conditions.push({
+          key: 'door:unauthorized',
+          type: 'door',
+          severity: 'critical',
+          message: `Door opened outside authorized zones at ${event.location.latitude.toFixed(5)}, ${event.location.longitude.toFixed(5)}`,
+          value: Math.round(event.durationMinutes),
+          threshold: 'authorized zones',
+          direction: 'above',
+          violated: !event.closedAt && !event.authorized,
+          cleared: !!event.closedAt
+        });
       }
     }
 
+    if (telemetry.sensors?.light !== undefined && thresholds.light) {
+      const { light } = telemetry.sensors;
+      const { max, hysteresis = 0 } = thresholds.light;
+      // Light is expected while the door is open at an authorized stop
+      const authorizedOpening = (twin.doorEvents || []).some(event =>
+        !event.closedAt && event.authorized && event.deviceId === telemetry.deviceId
+      );
+      conditions.push({
+        key: 'light:max',
+        type: 'light',
+        severity: 'high',
+        message: `Light exposure ${light} lux in closed cargo space exceeds ${max} lux`,
+        value: light,
+        threshold: max,
+        direction: 'above',
+        violated: light > max && !authorizedOpening,
+        cleared: light <= max - hysteresis || authorizedOpening
+      });
+    }
+
+    if (telemetry.sensors?.seal !== undefined) {
+      conditions.push({
+        key: 'tamper:seal',
+        type: 'tamper',
+        severity: 'critical',
+        message: `Tamper-evident seal reported broken`,
+        threshold: 'intact',
+        violated: telemetry.sensors.seal === 'broken',
+        cleared: telemetry.sensors.seal === 'intact'
+      });
+    }
+
+    // Custom channel checks, for channels the shipment has limits for
+    Object.entries(telemetry.channels || {}).forEach(([channel, value]) => {
+      const limits = thresholds.channels?.[channel];
+      if (!limits) return;
+
+      const { min, max, hysteresis = 0, severity = 'medium' } = limits;
+      if (max !== undefined) {
+        conditions.push({
+          key: `channel:${channel}:max`,
+          type: 'channel',
+          severity,
+          message: `Channel ${channel} reading ${value} exceeds maximum threshold of ${max}`,
+          value,
+          threshold: max,
+          direction: 'above',
+          violated: value > max,
+          cleared: value <= max - hysteresis,
+          limits,
+          channel
+        });
+      }
+      if (min !== undefined) {
+        conditions.push({
+          key: `channel:${channel}:min`,
+          type: 'channel',
+          severity,
+          message: `Channel ${channel} reading ${value} is below minimum threshold of ${min}`,
+          value,
+          threshold: min,
+          direction: 'below',
+          violated: value < min,
+          cleared: value >= min + hysteresis,
+          limits,
+          channel
+        });
+      }
+    });
+
     // Battery check
-    if (telemetry.battery !== undefined && telemetry.battery < twin.thresholds.battery.min) {
-      alerts.push(this.createAlert(
-        'battery',
-        telemetry.battery < 10 ? 'critical' : 'medium',
-        `Battery level ${telemetry.battery}% is below minimum threshold of ${twin.thresholds.battery.min}%`,
-        telemetry.battery,
-        twin.thresholds.battery.min
-      ));
+    if (telemetry.battery !== undefined) {
+      const { min, hysteresis = 0 } = thresholds.battery;
+      conditions.push({
+        key: 'battery:min',
+        type: 'battery',
+        severity: telemetry.battery < 10 ? 'critical' : 'medium',
+        message: `Battery level ${telemetry.battery}% is below minimum threshold of ${min}%`,
+        value: telemetry.battery,
+        threshold: min,
+        direction: 'below',
+        violated: telemetry.battery < min,
+        cleared: telemetry.battery >= min + hysteresis
+      });
     }
 
     // Signal strength check
-    if (telemetry.signal?.strength !== undefined && telemetry.signal.strength < twin.thresholds.signal.min) {
-      alerts.push(this.createAlert(
-        'signal',
-        'low',
-        `Signal strength ${telemetry.signal.strength}dBm is below minimum threshold of ${twin.thresholds.signal.min}dBm`,
-        telemetry.signal.strength,
-        twin.thresholds.signal.min
-      ));
-    }
-
-    // Geofence check
-    if (twin.geofence) {
-      const isInGeofence = this.checkGeofence(telemetry.location, twin.geofence);
-      if (!isInGeofence) {
-        alerts.push(this.createAlert(
-          'geofence',
-          'high',
-          `Shipment has left the designated geofence area`,
-          undefined,
-          'geofence boundary'
-        ));
-      }
-    }
-
-    // Add new alerts to twin and emit events
-    if (alerts.length > 0) {
-      twin.alerts.push(...alerts);
-      
-      alerts.forEach(alert => {
+    if (telemetry.signal?.strength !== undefined) {
+      const { min, hysteresis = 0 } = thresholds.signal;
+      const strength = telemetry.signal.strength;
+      conditions.push({
+        key: 'signal:min',
+        type: 'signal',
+        severity: 'low',
+        message: `Signal strength ${strength}dBm is below minimum threshold of ${min}dBm`,
+        value: strength,
+        threshold: min,
+        direction: 'below',
+        violated: strength < min,
+        cleared: strength >= min + hysteresis
+      });
+    }
+
+    // Mean kinetic temperature check. Suspect temperatures have been screened out already.
+    if (telemetry.sensors?.temperature !== undefined) {
+      const device = twin.devices![telemetry.deviceId];
+      const activationEnergy = thresholds.mkt?.activationEnergy ?? DEFAULT_ACTIVATION_ENERGY;
+      if (!device.mkt || device.mkt.activationEnergy !== activationEnergy) {
+        // New logger, or the activation energy changed: start over from the history we still have
+        device.mkt = mktFromReadings(
+          twin.telemetryHistory.filter(reading =>
+            reading.deviceId === telemetry.deviceId &&
+            new Date(reading.timestamp) < new Date(telemetry.timestamp) &&
+            !isSuspectField(reading, 'temperature')
+          ),
+          activationEnergy
+        );
+      }
+      addMktReading(device.mkt, telemetry.timestamp, telemetry.sensors.temperature);
+      const mkt = mktResult(device.mkt);
+      device.meanKineticTemperature = mkt?.meanKineticTemperature;
+      if (telemetry.deviceId === twin.deviceId) {
+        twin.meanKineticTemperature = mkt?.meanKineticTemperature;
+      }
+
+      if (mkt && thresholds.mkt) {
+        const { max, hysteresis = thresholds.temperature?.hysteresis ?? 0 } = thresholds.mkt;
+        conditions.push({
+          key: 'temperature:mkt',
+          type: 'temperature',
+          severity: 'high',
+          message: `Mean kinetic temperature ${mkt.meanKineticTemperature}°C exceeds maximum of ${max}°C`,
+          value: mkt.meanKineticTemperature,
+          threshold: max,
+          direction: 'above',
+          violated: mkt.meanKineticTemperature > max,
+          cleared: mkt.meanKineticTemperature <= max - hysteresis
+        });
+      }
+    }
+
+
+    // Tag conditions with the logger; the primary device keeps the plain keys
+    const isPrimary = telemetry.deviceId === twin.deviceId;
+    const isMultiDevice = Object.keys(twin.devices || {}).length > 1;
+    return conditions.map(condition => ({
+      ...condition,
+      key: isPrimary ? condition.key : `${condition.key}@${telemetry.deviceId}`,
+      message: isMultiDevice
+        ? `${condition.message} (device ${telemetry.deviceId}${position ? ` at ${position}` : ''})`
+        : condition.message,
+      deviceId: telemetry.deviceId,
+      position
+    }));
+  }
+
+  private getReportingLimits(twin: DigitalTwin): { expectedIntervalSeconds: number; offlineMultiplier: number } {
+    return twin.thresholds.reporting || DEFAULT_THRESHOLDS.reporting!;
+  }
+
+  // Record gaps between readings and bring an offline device back online.
+  // Returns the condition that resolves the offline alert.
+  private trackReporting(twin: DigitalTwin, telemetry: Telemetry): RuleCondition {
+    const at = new Date(telemetry.timestamp);
+    const previous = twin.lastReadingAt ? new Date(twin.lastReadingAt) : undefined;
+    const { expectedIntervalSeconds, offlineMultiplier } = this.getReportingLimits(twin);
+    const gaps = twin.reportingGaps || [];
+    const openGap = gaps.find(gap => !gap.end);
+
+    if (openGap) {
+      openGap.end = at;
+      openGap.durationMinutes = (at.getTime() - new Date(openGap.start).getTime()) / 60000;
+    } else if (previous && (at.getTime() - previous.getTime()) / 1000 > expectedIntervalSeconds * offlineMultiplier) {
+      gaps.push({ start: previous, end: at, durationMinutes: (at.getTime() - previous.getTime()) / 60000 });
+    }
+    twin.reportingGaps = gaps;
+
+    if (twin.deviceStatus === 'offline') {
+      this.emit('device:online', { shipmentId: twin.shipmentId, deviceId: telemetry.deviceId, gap: openGap });
+    }
+    twin.deviceStatus = 'online';
+    if (!previous || at > previous) {
+      twin.lastReadingAt = at;
+    }
+
+    return {
+      key: 'signal:offline',
+      type: 'offline',
+      severity: 'high',
+      message: `Device ${telemetry.deviceId} is reporting again`,
+      violated: false,
+      cleared: true
+    };
+  }
+
+  // Record door openings from a logger's door sensor. Returns the opening the reading
+  // belongs to, or just closed, so its alert can be raised or resolved.
+  private trackDoor(twin: DigitalTwin, telemetry: Telemetry): DoorEvent | undefined {
+    const at = new Date(telemetry.timestamp);
+    twin.doorEvents = twin.doorEvents || [];
+    const open = twin.doorEvents.find(event => !event.closedAt && event.deviceId === telemetry.deviceId);
+
+    if (telemetry.sensors?.door === 'open') {
+      if (open) {
+        open.durationMinutes = (at.getTime() - new Date(open.openedAt).getTime()) / 60000;
+        return open;
+      }
+
+      const zoneId = this.findDesignatedZone(twin, telemetry.location);
+      const event: DoorEvent = {
+        id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        deviceId: telemetry.deviceId,
+        openedAt: at,
+        durationMinutes: 0,
+        location: { latitude: telemetry.location.latitude, longitude: telemetry.location.longitude },
+        authorized: zoneId !== undefined,
+        zoneId
+      };
+      twin.doorEvents.push(event);
+      this.emit('door:opened', { shipmentId: twin.shipmentId, event });
+      return event;
+    }
+
+    if (open) {
+      open.closedAt = at;
+      open.durationMinutes = (at.getTime() - new Date(open.openedAt).getTime()) / 60000;
+      this.emit('door:closed', { shipmentId: twin.shipmentId, event: open });
+    }
+    return open;
+  }
+
+  // Track how long the shipment has stayed within the stop radius. Returns the stop the
+  // latest reading belongs to, or just left, once it has lasted the minimum dwell time.
+  private detectStop(twin: DigitalTwin, telemetry: Telemetry): Stop | undefined {
+    const { radius, minDwellMinutes } = twin.thresholds.stop || DEFAULT_THRESHOLDS.stop!;
+    const at = new Date(telemetry.timestamp);
+    const candidate = twin.stopCandidate;
+    twin.stops = twin.stops || [];
+
+    const distance = candidate
+      ? this.calculateDistance(
+        telemetry.location.latitude,
+        telemetry.location.longitude,
+        candidate.location.latitude,
+        candidate.location.longitude
+      )
+      : Infinity;
+
+    // Moved away: close the recorded stop, if any, and start watching the new position
+    if (!candidate || distance > radius) {
+      const previous = candidate?.stopId ? twin.stops.find(s => s.id === candidate.stopId) : undefined;
+      twin.stopCandidate = {
+        location: { latitude: telemetry.location.latitude, longitude: telemetry.location.longitude },
+        since: at
+      };
+
+      if (previous) {
+        previous.departedAt = at;
+        previous.durationMinutes = (at.getTime() - new Date(previous.arrivedAt).getTime()) / 60000;
+        this.emit('stop:ended', { shipmentId: twin.shipmentId, stop: previous });
+        return previous;
+      }
+      return undefined;
+    }
+
+    const dwellMinutes = (at.getTime() - new Date(candidate.since).getTime()) / 60000;
+    if (dwellMinutes < minDwellMinutes) {
+      return undefined;
+    }
+
+    let stop = candidate.stopId ? twin.stops.find(s => s.id === candidate.stopId) : undefined;
+    if (!stop) {
+      const zoneId = this.findDesignatedZone(twin, candidate.location);
+      stop = {
+        id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        location: candidate.location,
+        arrivedAt: candidate.since,
+        durationMinutes: dwellMinutes,
+        scheduled: zoneId !== undefined,
+        zoneId
+      };
+      candidate.stopId = stop.id;
+      twin.stops.push(stop);
+      this.emit('stop:detected', { shipmentId: twin.shipmentId, stop });
+    }
+
+    stop.durationMinutes = dwellMinutes;
+    return stop;
+  }
+
+  // Geofence zone, origin or destination containing a location
+  private findDesignatedZone(twin: DigitalTwin, location: { latitude: number; longitude: number }): string | undefined {
+    const zone = (twin.geofence?.zones || []).find(z => this.isInZone(location, z));
+    if (zone) {
+      return zone.id;
+    }
+
+    const places: Array<[string, ShipmentLocation | undefined]> = [['origin', twin.origin], ['destination', twin.destination]];
+    const place = places.find(([, point]) =>
+      point && this.calculateDistance(location.latitude, location.longitude, point.latitude, point.longitude) <= DESIGNATED_LOCATION_RADIUS_M
+    );
+    return place?.[0];
+  }
+
+  // Estimate arrival from the average speed over the primary logger's recent positions
+  // and the remaining distance, along the planned route when there is one. Readings
+  // from other loggers and positions flagged as suspect are left out, so loggers that
+  // disagree slightly or a GPS jump do not show up as distance travelled.
+  private estimateArrival(twin: DigitalTwin): EtaEstimate | undefined {
+    const { route, destination } = twin;
+    const history = twin.telemetryHistory.filter(t =>
+      t.deviceId === twin.deviceId && !isSuspectField(t, 'location')
+    );
+    if (history.length < 2) return undefined;
+
+    const latest = history[history.length - 1];
+    const latestTime = new Date(latest.timestamp).getTime();
+    const recent = history.filter(t => latestTime - new Date(t.timestamp).getTime() <= ETA_SPEED_WINDOW_MS);
+    if (recent.length < 2) return undefined;
+
+    let travelled = 0;
+    for (let i = 1; i < recent.length; i++) {
+      travelled += this.calculateDistance(
+        recent[i - 1].location.latitude,
+        recent[i - 1].location.longitude,
+        recent[i].location.latitude,
+        recent[i].location.longitude
+      );
+    }
+    const elapsedHours = (latestTime - new Date(recent[0].timestamp).getTime()) / 3600000;
+    if (elapsedHours <= 0) return undefined;
+
+    const averageSpeedKmh = travelled / 1000 / elapsedHours;
+    if (averageSpeedKmh < MIN_ETA_SPEED_KMH) return undefined;
+
+    const method = route ? 'route' : 'great-circle';
+    let remainingDistanceMeters: number;
+    if (route) {
+      remainingDistanceMeters = this.calculateRemainingRouteDistance(latest.location, route);
+    } else if (destination) {
+      remainingDistanceMeters = this.calculateDistance(
+        latest.location.latitude,
+        latest.location.longitude,
+        destination.latitude,
+        destination.longitude
+      );
+    } else {
+      return undefined;
+    }
+
+    const estimatedArrival = new Date(latestTime + (remainingDistanceMeters / 1000 / averageSpeedKmh) * 3600000);
+
+    return {
+      estimatedArrival,
+      remainingDistanceMeters: Math.round(remainingDistanceMeters),
+      averageSpeedKmh: Math.round(averageSpeedKmh * 10) / 10,
+      method,
+      delayMinutes: twin.plannedEta
+        ? (estimatedArrival.getTime() - new Date(twin.plannedEta).getTime()) / 60000
+        : undefined,
+      computedAt: new Date()
+    };
+  }
+
+  // Open, update or auto-resolve the alert tracking a condition
+  private applyCondition(twin: DigitalTwin, condition: RuleCondition, seenAt: Date, telemetry?: Telemetry): void {
+    const open = twin.alerts.find(alert => !alert.resolved && alert.key === condition.key);
+    const excursion = this.trackExcursion(twin, condition.key, condition.violated, seenAt);
+    const triggered = condition.violated && this.isExcursionLimitExceeded(excursion, condition.limits);
+    const deviceId = condition.deviceId || telemetry?.deviceId || twin.deviceId;
+
+    if (open) {
+      open.excursion = this.describeExcursion(excursion, open.excursion);
+    }
+
+    if (condition.violated && (open || triggered)) {
+      if (!open) {
+        const alert = this.createAlert(
+          condition.type,
+          condition.severity,
+          this.describeCondition(condition, excursion),
+          condition.value,
+          condition.threshold
+        );
+        alert.key = condition.key;
+        alert.firstSeenAt = excursion.current?.start || seenAt;
+        alert.lastSeenAt = seenAt;
+        alert.peakValue = condition.value;
+        alert.sampleCount = 1;
+        alert.durationMinutes = excursion.current?.durationMinutes || 0;
+        alert.excursion = this.describeExcursion(excursion);
+        alert.deviceId = condition.deviceId;
+        alert.position = condition.position;
+        alert.channel = condition.channel;
+        twin.alerts.push(alert);
+
         this.emit('alert', {
           shipmentId: twin.shipmentId,
-          deviceId: twin.deviceId,
+          deviceId,
           alert,
           telemetry,
           twin
         });
+        return;
+      }
+
+      open.lastSeenAt = seenAt;
+      open.sampleCount = (open.sampleCount || 0) + 1;
+      open.durationMinutes = (seenAt.getTime() - new Date(open.firstSeenAt || open.timestamp).getTime()) / 60000;
+      open.value = condition.value || 0;
+      if (condition.value !== undefined && this.isPastPeak(condition, open.peakValue)) {
+        open.peakValue = condition.value;
+      }
+      if (SEVERITY_RANK[condition.severity] > SEVERITY_RANK[open.severity]) {
+        open.severity = condition.severity;
+        open.message = this.describeCondition(condition, excursion);
+      }
+
+      this.emit('alert:updated', {
+        shipmentId: twin.shipmentId,
+        deviceId,
+        alert: open,
+        telemetry
       });
+    } else if (open && condition.cleared) {
+      open.resolved = true;
+      open.resolvedAt = seenAt;
+      this.emit('alert:resolved', { shipmentId: twin.shipmentId, alertId: open.id, alert: open, auto: true });
+    }
+  }
+
+  // Accumulate time beyond a threshold. The interval up to each reading is
+  // attributed to the state of the previous reading.
+  private trackExcursion(twin: DigitalTwin, key: string, violated: boolean, at: Date): ExcursionState {
+    twin.excursions = twin.excursions || {};
+    const state = twin.excursions[key] || { cumulativeMinutes: 0, count: 0 };
+    twin.excursions[key] = state;
+
+    if (state.lastSampleAt && state.lastViolated) {
+      const elapsedMinutes = Math.max(0, at.getTime() - new Date(state.lastSampleAt).getTime()) / 60000;
+      state.cumulativeMinutes += elapsedMinutes;
+    }
+
+    if (violated && !state.current) {
+      state.current = { start: at, durationMinutes: 0 };
+      state.count++;
+    } else if (state.current) {
+      state.current.durationMinutes = (at.getTime() - new Date(state.current.start).getTime()) / 60000;
+      if (!violated) {
+        state.current.end = at;
+        state.last = state.current;
+        state.current = undefined;
+      }
+    }
+
+    state.lastSampleAt = at;
+    state.lastViolated = violated;
+    return state;
+  }
+
+  private isExcursionLimitExceeded(state: ExcursionState, limits?: ExcursionLimits): boolean {
+    const maxExcursion = limits?.maxExcursionMinutes;
+    const maxCumulative = limits?.maxCumulativeMinutes;
+    if (maxExcursion === undefined && maxCumulative === undefined) {
+      return true;
+    }
+
+    return (maxExcursion !== undefined && (state.current?.durationMinutes || 0) > maxExcursion) ||
+      (maxCumulative !== undefined && state.cumulativeMinutes > maxCumulative);
+  }
+
+  // Snapshot of the ongoing (or just ended) excursion for an alert
+  private describeExcursion(
+    state: ExcursionState,
+    previous?: Alert['excursion']
+  ): Alert['excursion'] {
+    const excursion = state.current || state.last;
+    if (!excursion) {
+      return previous;
     }
+
+    return {
+      start: excursion.start,
+      end: excursion.end,
+      durationMinutes: Math.round(excursion.durationMinutes * 10) / 10,
+      cumulativeMinutes: Math.round(state.cumulativeMinutes * 10) / 10
+    };
+  }
+
+  private describeCondition(condition: RuleCondition, state: ExcursionState): string {
+    const { maxExcursionMinutes, maxCumulativeMinutes } = condition.limits || {};
+    if (maxExcursionMinutes === undefined && maxCumulativeMinutes === undefined) {
+      return condition.message;
+    }
+
+    const duration = Math.round(state.current?.durationMinutes || 0);
+    const cumulative = Math.round(state.cumulativeMinutes);
+    return `${condition.message} for ${duration} minutes (${cumulative} cumulative minutes)`;
+  }
+
+  private isPastPeak(condition: RuleCondition, peakValue?: number): boolean {
+    if (peakValue === undefined || condition.value === undefined) {
+      return true;
+    }
+    return condition.direction === 'below' ? condition.value < peakValue : condition.value > peakValue;
   }
 
   private createAlert(
@@ -348,16 +1716,55 @@ export class TrackingAgent extends EventEmitter {
     };
   }
 
-  private checkGeofence(location: { latitude: number; longitude: number }, geofence: Geofence): boolean {
-    const distance = this.calculateDistance(
-      location.latitude,
-      location.longitude,
-      geofence.center.latitude,
-      geofence.center.longitude
-    );
+  // Emit geofence:entered / geofence:exited when the shipment crosses the boundary or a zone.
+  // Returns whether the reading is inside the boundary.
+  private checkGeofenceTransitions(twin: DigitalTwin, telemetry: Telemetry): boolean {
+    const geofence = twin.geofence!;
+    const previous = twin.geofenceState || { insideBoundary: true, zones: [] };
+    const hasBoundary = geofence.radius !== undefined || geofence.geometry !== undefined;
+    const insideBoundary = !hasBoundary || this.checkGeofence(telemetry.location, geofence);
+    const zones = (geofence.zones || [])
+      .filter(zone => this.isInZone(telemetry.location, zone))
+      .map(zone => zone.id);
+
+    twin.geofenceState = { insideBoundary, zones };
+
+    const transition = { shipmentId: twin.shipmentId, location: telemetry.location, timestamp: telemetry.timestamp };
 
+    (geofence.zones || []).forEach(zone => {
+      const wasInside = previous.zones.includes(zone.id);
+      const isInside = zones.includes(zone.id);
+      if (isInside && !wasInside) {
+        this.emit('geofence:entered', { ...transition, zoneId: zone.id, zoneName: zone.name });
+      } else if (!isInside && wasInside) {
+        this.emit('geofence:exited', { ...transition, zoneId: zone.id, zoneName: zone.name });
+      }
+    });
+
+    if (insideBoundary && !previous.insideBoundary) {
+      this.emit('geofence:entered', transition);
+    } else if (!insideBoundary && previous.insideBoundary) {
+      this.emit('geofence:exited', transition);
+    }
+
+    return insideBoundary;
+  }
+
+  private checkGeofence(location: { latitude: number; longitude: number }, geofence: Geofence): boolean {
     // Check main geofence
-    if (distance <= geofence.radius) {
+    if (geofence.center && geofence.radius !== undefined) {
+      const distance = this.calculateDistance(
+        location.latitude,
+        location.longitude,
+        geofence.center.latitude,
+        geofence.center.longitude
+      );
+      if (distance <= geofence.radius) {
+        return true;
+      }
+    }
+
+    if (geofence.geometry && this.isInGeometry(location, geofence.geometry)) {
       return true;
     }
 
@@ -377,6 +1784,47 @@ export class TrackingAgent extends EventEmitter {
     return false;
   }
 
+  private isInZone(location: { latitude: number; longitude: number }, zone: GeofenceZone): boolean {
+    if (zone.geometry && this.isInGeometry(location, zone.geometry)) {
+      return true;
+    }
+    if (zone.center && zone.radius !== undefined) {
+      return this.calculateDistance(
+        location.latitude,
+        location.longitude,
+        zone.center.latitude,
+        zone.center.longitude
+      ) <= zone.radius;
+    }
+    return false;
+  }
+
+  private isInGeometry(location: { latitude: number; longitude: number }, geometry: GeofenceGeometry): boolean {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+
+    // Inside the outer ring and outside every hole
+    return polygons.some(([outer, ...holes]) =>
+      this.isInRing(location, outer) && !holes.some(hole => this.isInRing(location, hole))
+    );
+  }
+
+  // Ray casting point-in-polygon test on [longitude, latitude] positions
+  private isInRing(location: { latitude: number; longitude: number }, ring: number[][]): boolean {
+    const x = location.longitude;
+    const y = location.latitude;
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  }
+
   private calculateDistance(lat1: number, lon1: number, lat2: number, lon2: number): number {
     const R = 6371000; // Earth's radius in meters
     const dLat = this.toRadians(lat2 - lat1);
@@ -388,36 +1836,404 @@ export class TrackingAgent extends EventEmitter {
     return R * c;
   }
 
+  // Shortest distance in meters from a point to the route polyline
+  private calculateRouteDeviation(location: { latitude: number; longitude: number }, route: PlannedRoute): number {
+    const { waypoints } = route;
+    if (waypoints.length === 1) {
+      return this.calculateDistance(location.latitude, location.longitude, waypoints[0].latitude, waypoints[0].longitude);
+    }
+
+    let minDistance = Infinity;
+    for (let i = 0; i < waypoints.length - 1; i++) {
+      minDistance = Math.min(minDistance, this.calculateSegmentDistance(location, waypoints[i], waypoints[i + 1]));
+    }
+    return minDistance;
+  }
+
+  // Distance left along the route: to the end of the nearest segment, then the remaining segments
+  private calculateRemainingRouteDistance(location: { latitude: number; longitude: number }, route: PlannedRoute): number {
+    const { waypoints } = route;
+    const last = waypoints[waypoints.length - 1];
+    if (waypoints.length === 1) {
+      return this.calculateDistance(location.latitude, location.longitude, last.latitude, last.longitude);
+    }
+
+    let nearest = 0;
+    let minDistance = Infinity;
+    for (let i = 0; i < waypoints.length - 1; i++) {
+      const distance = this.calculateSegmentDistance(location, waypoints[i], waypoints[i + 1]);
+      if (distance < minDistance) {
+        minDistance = distance;
+        nearest = i;
+      }
+    }
+
+    const next = waypoints[nearest + 1];
+    let remaining = this.calculateDistance(location.latitude, location.longitude, next.latitude, next.longitude);
+    for (let i = nearest + 1; i < waypoints.length - 1; i++) {
+      remaining += this.calculateDistance(
+        waypoints[i].latitude,
+        waypoints[i].longitude,
+        waypoints[i + 1].latitude,
+        waypoints[i + 1].longitude
+      );
+    }
+    return remaining;
+  }
+
+  // Cross-track distance to the great-circle segment start-end, clamped to its endpoints
+  private calculateSegmentDistance(
+    point: { latitude: number; longitude: number },
+    start: { latitude: number; longitude: number },
+    end: { latitude: number; longitude: number }
+  ): number {
+    const R = 6371000;
+    const startToPoint = this.calculateDistance(start.latitude, start.longitude, point.latitude, point.longitude);
+    const segmentLength = this.calculateDistance(start.latitude, start.longitude, end.latitude, end.longitude);
+    if (segmentLength === 0) {
+      return startToPoint;
+    }
+
+    const angle = this.calculateBearing(start, point) - this.calculateBearing(start, end);
+    const crossTrack = Math.asin(Math.sin(startToPoint / R) * Math.sin(angle)) * R;
+
+    // Point projects behind the start of the segment
+    if (Math.cos(angle) < 0) {
+      return startToPoint;
+    }
+
+    const alongTrack = Math.acos(Math.min(1, Math.cos(startToPoint / R) / Math.cos(crossTrack / R))) * R;
+    if (alongTrack > segmentLength) {
+      return this.calculateDistance(end.latitude, end.longitude, point.latitude, point.longitude);
+    }
+
+    return Math.abs(crossTrack);
+  }
+
+  // Initial bearing in radians from one point to another
+  private calculateBearing(from: { latitude: number; longitude: number }, to: { latitude: number; longitude: number }): number {
+    const lat1 = this.toRadians(from.latitude);
+    const lat2 = this.toRadians(to.latitude);
+    const dLon = this.toRadians(to.longitude - from.longitude);
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return Math.atan2(y, x);
+  }
+
   private toRadians(degrees: number): number {
     return degrees * (Math.PI / 180);
   }
 
-  private handleAlert(_shipmentId: string, _type: string, _value: number, _threshold: string): void {
-    const twin = this.digitalTwins.get(_shipmentId);
-    if (twin) {
-      // This method can be used to sync with existing alert system
-      // The main rule checking is done in checkRules method
+  // Close an alert by hand. The condition can open a new alert if it persists.
+  // Resolving an alert that is already resolved changes nothing and succeeds
+  public resolveAlert(shipmentId: string, alertId: string, options: { by?: string; note?: string } = {}): Alert | undefined {
+    const existing = this.store.get(shipmentId)?.alerts.find(a => a.id === alertId);
+    if (existing?.resolved) {
+      return existing;
     }
+
+    return this.updateAlert(shipmentId, alertId, (alert, at) => {
+      alert.resolved = true;
+      alert.resolvedAt = at;
+      alert.resolvedBy = options.by;
+      if (options.by) {
+        this.recordActivity(alert, { action: 'resolved', by: options.by, at, note: options.note });
+      }
+      this.emit('alert:resolved', { shipmentId, alertId, alert, auto: false, by: options.by });
+    });
   }
 
-  public resolveAlert(shipmentId: string, alertId: string): void {
-    const twin = this.digitalTwins.get(shipmentId);
-    if (twin) {
-      const alert = twin.alerts.find(a => a.id === alertId);
-      if (alert) {
-        alert.resolved = true;
-        this.emit('alert:resolved', { shipmentId, alertId, alert });
+  public acknowledgeAlert(shipmentId: string, alertId: string, by: string, note?: string): Alert | undefined {
+    return this.updateAlert(shipmentId, alertId, (alert, at) => {
+      alert.acknowledgedAt = alert.acknowledgedAt || at;
+      alert.acknowledgedBy = alert.acknowledgedBy || by;
+      this.recordActivity(alert, { action: 'acknowledged', by, at, note });
+      this.emit('alert:acknowledged', { shipmentId, alertId, alert, by });
+    });
+  }
+
+  public assignAlert(shipmentId: string, alertId: string, assignee: string, by: string, note?: string): Alert | undefined {
+    return this.updateAlert(shipmentId, alertId, (alert, at) => {
+      alert.assignee = assignee;
+      alert.assignedAt = at;
+      this.recordActivity(alert, { action: 'assigned', by, at, note, assignee });
+      this.emit('alert:assigned', { shipmentId, alertId, alert, assignee, by });
+    });
+  }
+
+  // Notes can be added to resolved alerts too, e.g. a root cause found later
+  public addAlertNote(shipmentId: string, alertId: string, by: string, note: string): Alert | undefined {
+    return this.updateAlert(shipmentId, alertId, (alert, at) => {
+      this.recordActivity(alert, { action: 'note', by, at, note });
+      this.emit('alert:note', { shipmentId, alertId, alert, by, note });
+    }, { allowResolved: true });
+  }
+
+  // Raise the severity (one level by default) and count the escalation
+  public escalateAlert(
+    shipmentId: string,
+    alertId: string,
+    by: string,
+    options: { severity?: Alert['severity']; note?: string } = {}
+  ): Alert | undefined {
+    return this.updateAlert(shipmentId, alertId, (alert, at) => {
+      const severities = Object.keys(SEVERITY_RANK) as Alert['severity'][];
+      const severity = options.severity || severities[Math.min(SEVERITY_RANK[alert.severity] + 1, severities.length - 1)];
+      if (SEVERITY_RANK[severity] < SEVERITY_RANK[alert.severity]) {
+        throw new Error(`Cannot escalate a ${alert.severity} alert to ${severity}`);
       }
+
+      alert.severity = severity;
+      alert.escalationLevel = (alert.escalationLevel || 0) + 1;
+      alert.escalatedAt = at;
+      this.recordActivity(alert, { action: 'escalated', by, at, note: options.note, severity });
+      this.emit('alert:escalated', { shipmentId, alertId, alert, by, severity });
+    });
+  }
+
+  // Apply a workflow step to an alert and persist the twin. Returns undefined when the
+  // twin or alert does not exist; throws when the alert is already resolved.
+  private updateAlert(
+    shipmentId: string,
+    alertId: string,
+    update: (alert: Alert, at: Date) => void,
+    options: { allowResolved?: boolean } = {}
+  ): Alert | undefined {
+    const twin = this.store.get(shipmentId);
+    const alert = twin?.alerts.find(a => a.id === alertId);
+    if (!twin || !alert) return undefined;
+
+    if (alert.resolved && !options.allowResolved) {
+      throw new Error(`Alert ${alertId} is already resolved`);
     }
+    update(alert, new Date());
+    this.store.save(twin);
+    return alert;
+  }
+
+  private recordActivity(alert: Alert, activity: AlertActivity): void {
+    alert.activity = [...(alert.activity || []), activity];
+  }
+
+  // Alerts across all shipments, newest first
+  public findAlerts(filter: AlertFilter = {}): Array<Alert & { shipmentId: string; status: AlertStatus }> {
+    const from = filter.from ? filter.from.getTime() : -Infinity;
+    const to = filter.to ? filter.to.getTime() : Infinity;
+
+    const alerts = this.store.getAll()
+      .filter(twin => !filter.shipmentId || twin.shipmentId === filter.shipmentId)
+      .flatMap(twin => twin.alerts.map(alert => ({ ...alert, shipmentId: twin.shipmentId, status: alertStatus(alert) })))
+      .filter(alert => {
+        const time = new Date(alert.firstSeenAt || alert.timestamp).getTime();
+        return time >= from && time <= to &&
+          (!filter.severity || filter.severity.includes(alert.severity)) &&
+          (!filter.type || filter.type.includes(alert.type)) &&
+          (!filter.status || filter.status.includes(alert.status)) &&
+          (!filter.assignee || alert.assignee === filter.assignee);
+      })
+      .sort((a, b) =>
+        new Date(b.firstSeenAt || b.timestamp).getTime() - new Date(a.firstSeenAt || a.timestamp).getTime()
+      );
+
+    return filter.limit ? alerts.slice(0, filter.limit) : alerts;
   }
 
   public getActiveAlerts(shipmentId: string): Alert[] {
-    const twin = this.digitalTwins.get(shipmentId);
+    const twin = this.store.get(shipmentId);
     return twin ? twin.alerts.filter(alert => !alert.resolved) : [];
   }
 
+  // MKT of one logger (the primary device by default) over the whole trip, from the same
+  // running sums and thresholds the MKT alert uses. Another activation energy can only be
+  // applied to the logger's trusted readings still in telemetryHistory.
+  public getMeanKineticTemperature(
+    shipmentId: string,
+    activationEnergy?: number,
+    deviceId?: string
+  ): (MeanKineticTemperature & { deviceId: string; threshold?: number }) | undefined {
+    const twin = this.store.get(shipmentId);
+    if (!twin) return undefined;
+
+    const device = twin.devices?.[deviceId || twin.deviceId];
+    if (!device) return undefined;
+
+    const thresholds = this.getThresholdsFor(twin, device.position);
+    const energy = activationEnergy ?? thresholds.mkt?.activationEnergy ?? DEFAULT_ACTIVATION_ENERGY;
+    const acc = device.mkt && device.mkt.activationEnergy === energy
+      ? device.mkt
+      : mktFromReadings(
+        twin.telemetryHistory.filter(reading =>
+          reading.deviceId === device.deviceId && !isSuspectField(reading, 'temperature')
+        ),
+        energy
+      );
+
+    const mkt = mktResult(acc);
+    return mkt && { ...mkt, deviceId: device.deviceId, threshold: thresholds.mkt?.max };
+  }
+
+  // Reporting gaps and data coverage since the twin was created, so consumers can
+  // tell "no violation" apart from "no data"
+  public getReportingSummary(shipmentId: string, now: Date = new Date()): {
+    deviceStatus: 'online' | 'offline';
+    lastReadingAt?: Date;
+    expectedIntervalSeconds: number;
+    gaps: ReportingGap[];
+    totalGapMinutes: number;
+    coveragePercent: number;
+  } | undefined {
+    const twin = this.store.get(shipmentId);
+    if (!twin) return undefined;
+
+    const { expectedIntervalSeconds } = this.getReportingLimits(twin);
+    const gaps = (twin.reportingGaps || []).map(gap => gap.end ? gap : {
+      ...gap,
+      durationMinutes: (now.getTime() - new Date(gap.start).getTime()) / 60000
+    });
+    const totalGapMinutes = gaps.reduce((sum, gap) => sum + gap.durationMinutes, 0);
+    const monitoredMinutes = (now.getTime() - new Date(twin.createdAt).getTime()) / 60000;
+
+    return {
+      deviceStatus: twin.deviceStatus || 'online',
+      lastReadingAt: twin.lastReadingAt,
+      expectedIntervalSeconds,
+      gaps,
+      totalGapMinutes,
+      coveragePercent: monitoredMinutes > 0
+        ? Math.max(0, Math.min(100, 100 * (1 - totalGapMinutes / monitoredMinutes)))
+        : 100
+    };
+  }
+
+  // Counts of suspect and confirmed readings by issue and field, with the latest suspect readings
+  public getDataQualitySummary(shipmentId: string, recentLimit: number = 20): {
+    readings: number;
+    suspect: number;
+    confirmed: number;
+    byIssue: Record<QualityIssue, number>;
+    byField: Record<string, number>;
+    maxAnomalyScore: number;
+    recentSuspect: Array<{ timestamp: Date; deviceId: string; quality: TelemetryQuality }>;
+  } | undefined {
+    const twin = this.store.get(shipmentId);
+    if (!twin) return undefined;
+
+    const byIssue: Record<QualityIssue, number> = { implausible: 0, 'rate-of-change': 0, 'gps-jump': 0, anomaly: 0 };
+    const byField: Record<string, number> = {};
+    let confirmed = 0;
+    let maxAnomalyScore = 0;
+
+    twin.telemetryHistory.forEach(telemetry => {
+      const quality = telemetry.quality;
+      if (!quality) return;
+      maxAnomalyScore = Math.max(maxAnomalyScore, quality.anomalyScore);
+      if (quality.findings.length > 0 && !quality.suspect) {
+        confirmed++;
+      }
+      quality.findings.filter(finding => !finding.confirmed).forEach(finding => {
+        byIssue[finding.issue]++;
+        byField[finding.field] = (byField[finding.field] || 0) + 1;
+      });
+    });
+
+    const suspect = twin.telemetryHistory.filter(telemetry => telemetry.quality?.suspect);
+    return {
+      readings: twin.telemetryHistory.length,
+      suspect: suspect.length,
+      confirmed,
+      byIssue,
+      byField,
+      maxAnomalyScore,
+      recentSuspect: suspect.slice(-recentLimit).map(telemetry => ({
+        timestamp: telemetry.timestamp,
+        deviceId: telemetry.deviceId,
+        quality: telemetry.quality!
+      }))
+    };
+  }
+
+  // History within a time range, optionally reduced to selected fields or to
+  // min/max/avg buckets so long trips can be charted without every raw point
+  public queryTelemetry(shipmentId: string, query: TelemetryQuery = {}): Telemetry[] | TelemetryPoint[] | TelemetryBucket[] {
+    const twin = this.store.get(shipmentId);
+    if (!twin) return [];
+
+    const from = query.from ? query.from.getTime() : -Infinity;
+    const to = query.to ? query.to.getTime() : Infinity;
+    const readings = twin.telemetryHistory.filter(telemetry => {
+      const time = new Date(telemetry.timestamp).getTime();
+      return time >= from && time <= to && (!query.deviceId || telemetry.deviceId === query.deviceId);
+    });
+    const limit = (results: any[]) => query.limit ? results.slice(-query.limit) : results;
+
+    if (query.intervalSeconds) {
+      const channels = Array.from(new Set(readings.flatMap(telemetry => Object.keys(telemetry.channels || {}))));
+      const fields = query.fields || [...Object.keys(TELEMETRY_FIELDS), ...channels.map(channel => `channels.${channel}`)];
+      return limit(this.downsample(readings, query.intervalSeconds * 1000, fields));
+    }
+    if (!query.fields) {
+      return limit(readings);
+    }
+
+    const fields = query.fields;
+    return limit(readings.map(telemetry => {
+      const point: TelemetryPoint = { timestamp: telemetry.timestamp, deviceId: telemetry.deviceId };
+      fields.forEach(field => {
+        point[field] = telemetryField(field)?.(telemetry);
+      });
+      return point;
+    }));
+  }
+
+  // Group time-ordered readings into fixed-width buckets aligned to the epoch
+  private downsample(readings: Telemetry[], intervalMs: number, fields: string[]): TelemetryBucket[] {
+    const buckets: TelemetryBucket[] = [];
+    const extractors = fields.map(field => [field, telemetryField(field)!] as const);
+    let current: (TelemetryBucket & { sums: Record<string, number>; counts: Record<string, number> }) | undefined;
+
+    const finish = () => {
+      if (!current) return;
+      const { sums, counts, ...bucket } = current;
+      Object.keys(bucket.fields).forEach(field => {
+        bucket.fields[field].avg = sums[field] / counts[field];
+      });
+      buckets.push(bucket);
+    };
+
+    readings.forEach(telemetry => {
+      const time = new Date(telemetry.timestamp).getTime();
+      const start = Math.floor(time / intervalMs) * intervalMs;
+
+      if (!current || current.start.getTime() !== start) {
+        finish();
+        current = { start: new Date(start), end: new Date(start + intervalMs), count: 0, fields: {}, sums: {}, counts: {} };
+      }
+      current.count++;
+
+      extractors.forEach(([field, extract]) => {
+        const value = extract(telemetry);
+        if (value === undefined) return;
+
+        const stats = current!.fields[field];
+        if (!stats) {
+          current!.fields[field] = { min: value, max: value, avg: value };
+          current!.sums[field] = value;
+          current!.counts[field] = 1;
+        } else {
+          stats.min = Math.min(stats.min, value);
+          stats.max = Math.max(stats.max, value);
+          current!.sums[field] += value;
+          current!.counts[field]++;
+        }
+      });
+    });
+    finish();
+
+    return buckets;
+  }
+
   public getTelemetryHistory(shipmentId: string, limit?: number): Telemetry[] {
-    const twin = this.digitalTwins.get(shipmentId);
+    const twin = this.store.get(shipmentId);
     if (!twin) return [];
     
     const history = twin.telemetryHistory;
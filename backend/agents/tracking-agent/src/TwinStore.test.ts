@@ -0,0 +1,96 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { FileTwinStore } from './TwinStore';
+import { TrackingAgent, Telemetry } from './TrackingAgent';
+
+function reading(minute: number, temperature: number): Telemetry {
+  return {
+    shipmentId: 'SHIP-1',
+    deviceId: 'DEV-1',
+    timestamp: new Date(Date.UTC(2024, 0, 1, 0, minute)),
+    location: { latitude: 52.37, longitude: 4.89 },
+    sensors: { temperature }
+  };
+}
+
+function logRecords(filePath: string): any[] {
+  return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+describe('FileTwinStore', () => {
+  let dir: string;
+  let filePath: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'twin-store-'));
+    filePath = path.join(dir, 'twins.log');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('rebuilds twins and their history from the log', () => {
+    const store = new FileTwinStore(filePath);
+    const agent = new TrackingAgent(1000, store);
+    agent.updateTelemetry('SHIP-1', reading(0, 4));
+    agent.updateTelemetry('SHIP-1', reading(1, 80));
+    agent.close();
+
+    const twin = new FileTwinStore(filePath).get('SHIP-1')!;
+    expect(twin.telemetryHistory).toHaveLength(2);
+    expect(twin.telemetryHistory[1].timestamp).toEqual(reading(1, 80).timestamp);
+    expect(twin.lastUpdated).toBeInstanceOf(Date);
+  });
+
+  it('revives only date fields, not free text that looks like a date', () => {
+    const store = new FileTwinStore(filePath);
+    const agent = new TrackingAgent(1000, store);
+    agent.updateTelemetry('SHIP-1', reading(0, 4));
+    agent.setShipmentDetails('SHIP-1', { consignee: '2024-05-01T08:00:00Z' });
+    agent.close();
+
+    const twin = new FileTwinStore(filePath).get('SHIP-1')!;
+    expect(twin.consignee).toBe('2024-05-01T08:00:00Z');
+    expect(twin.createdAt).toBeInstanceOf(Date);
+    expect(twin.statusHistory[0].at).toBeInstanceOf(Date);
+  });
+
+  it('appends only the twin fields that changed', () => {
+    const store = new FileTwinStore(filePath);
+    const agent = new TrackingAgent(1000, store);
+    agent.updateTelemetry('SHIP-1', reading(0, 4));
+    agent.updateTelemetry('SHIP-1', reading(1, 4));
+    agent.close();
+
+    const patches = logRecords(filePath).filter(record => record.op === 'patch');
+    expect(patches).toHaveLength(2);
+    expect(patches[0].set).toHaveProperty('thresholds');
+    expect(patches[1].set).not.toHaveProperty('thresholds');
+    expect(patches[1].set).not.toHaveProperty('statusHistory');
+    expect(patches[1].set).toHaveProperty('lastReadingAt');
+  });
+
+  it('persists quality confirmations of earlier readings when they happen', () => {
+    const store = new FileTwinStore(filePath);
+    const agent = new TrackingAgent(1000, store);
+    [4, 4, 4, 30, 30].forEach((temperature, minute) => agent.updateTelemetry('SHIP-1', reading(minute, temperature)));
+    expect(store.get('SHIP-1')!.telemetryHistory[3].quality!.suspect).toBe(false);
+    agent.close();
+
+    expect(logRecords(filePath).some(record => record.op === 'quality')).toBe(true);
+    const jump = new FileTwinStore(filePath).get('SHIP-1')!.telemetryHistory[3];
+    expect(jump.quality!.suspect).toBe(false);
+    expect(jump.quality!.findings[0].confirmed).toBe(true);
+  });
+
+  it('forgets deleted twins', () => {
+    const store = new FileTwinStore(filePath);
+    new TrackingAgent(1000, store).updateTelemetry('SHIP-1', reading(0, 4));
+    store.delete('SHIP-1');
+    store.close();
+
+    expect(new FileTwinStore(filePath).get('SHIP-1')).toBeUndefined();
+  });
+});
@@ -0,0 +1,284 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import type { DigitalTwin, Telemetry } from './TrackingAgent';
+import type { TelemetryQuality } from './DataQuality';
+
+// Storage backend for digital twins. Implementations hand out live twin
+// objects; TrackingAgent mutates them and calls save() afterwards so the
+// backend can persist the change.
+export interface TwinStore {
+  get(shipmentId: string): DigitalTwin | undefined;
+  getAll(): DigitalTwin[];
+  // newTelemetry lists readings added to telemetryHistory since the last save;
+  // updatedTelemetry lists earlier readings whose quality result changed since then
+  save(twin: DigitalTwin, newTelemetry?: Telemetry[], updatedTelemetry?: Telemetry[]): void;
+  delete(shipmentId: string): void;
+  close(): void;
+}
+
+// Log record layout for FileTwinStore. 'twin' is a full snapshot, written on compaction;
+// 'patch' holds the top-level twin fields that changed since the previous record.
+type LogRecord =
+  | { op: 'twin'; twin: Omit<DigitalTwin, 'telemetryHistory'> }
+  | { op: 'patch'; shipmentId: string; set: Partial<DigitalTwin>; unset?: string[] }
+  | { op: 'telemetry'; shipmentId: string; telemetry: Telemetry }
+  | { op: 'quality'; shipmentId: string; deviceId: string; timestamp: Date; quality: TelemetryQuality }
+  | { op: 'delete'; shipmentId: string };
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Properties of twins, readings and alerts that hold a Date. Free text such as alert
+// notes or location names stays a string even when it looks like a date.
+const DATE_FIELDS = new Set([
+  'timestamp', 'createdAt', 'lastUpdated', 'lastReadingAt', 'plannedEta', 'since',
+  'openedAt', 'closedAt', 'arrivedAt', 'departedAt', 'estimatedArrival', 'computedAt',
+  'start', 'end', 'from', 'to', 'at', 'lastSampleAt', 'firstSeenAt', 'lastSeenAt',
+  'resolvedAt', 'acknowledgedAt', 'assignedAt', 'escalatedAt', 'assessedAt', 'verifiedAt'
+]);
+
+// Revive the ISO date strings JSON.stringify wrote for those properties back into Dates
+function reviveDates(key: string, value: any): any {
+  if (typeof value === 'string' && DATE_FIELDS.has(key) && ISO_DATE_PATTERN.test(value)) {
+    return new Date(value);
+  }
+  return value;
+}
+
+// Insert a reading into a history kept in timestamp order. Returns false when the
+// history already holds a reading from the same device at the same timestamp.
+export function insertTelemetry(history: Telemetry[], telemetry: Telemetry): boolean {
+  const time = new Date(telemetry.timestamp).getTime();
+
+  // Readings usually arrive in order, so search back from the newest
+  let index = history.length;
+  while (index > 0 && new Date(history[index - 1].timestamp).getTime() > time) {
+    index--;
+  }
+  for (let i = index - 1; i >= 0 && new Date(history[i].timestamp).getTime() === time; i--) {
+    if (history[i].deviceId === telemetry.deviceId) {
+      return false;
+    }
+  }
+
+  history.splice(index, 0, telemetry);
+  return true;
+}
+
+// Volatile store, used when no persistence is configured
+export class MemoryTwinStore implements TwinStore {
+  protected twins: Map<string, DigitalTwin>;
+
+  constructor() {
+    this.twins = new Map();
+  }
+
+  public get(shipmentId: string): DigitalTwin | undefined {
+    return this.twins.get(shipmentId);
+  }
+
+  public getAll(): DigitalTwin[] {
+    return Array.from(this.twins.values());
+  }
+
+  public save(twin: DigitalTwin, _newTelemetry?: Telemetry[], _updatedTelemetry?: Telemetry[]): void {
+    this.twins.set(twin.shipmentId, twin);
+  }
+
+  public delete(shipmentId: string): void {
+    this.twins.delete(shipmentId);
+  }
+
+  public close(): void {
+    // Nothing to release
+  }
+}
+
+// JSON of each top-level twin field except the history, as last written to the log
+function serializeFields(twin: DigitalTwin): Map<string, string> {
+  const fields = new Map<string, string>();
+  Object.entries(twin).forEach(([field, value]) => {
+    if (field !== 'telemetryHistory' && value !== undefined) {
+      fields.set(field, JSON.stringify(value));
+    }
+  });
+  return fields;
+}
+
+// Append-only JSON log store. Every save appends the twin fields that changed, the new
+// telemetry readings, and the quality results of earlier readings that a later one
+// confirmed, as JSON lines. On boot the log is replayed to rebuild the twins and then
+// compacted to one snapshot per twin.
+export class FileTwinStore extends MemoryTwinStore {
+  private filePath: string;
+  private maxHistorySize: number;
+  private compactThreshold: number;
+  private fd: number | null;
+  private recordsSinceCompaction: number;
+  private written: Map<string, Map<string, string>>; // per twin, the field JSON the log holds
+
+  constructor(filePath: string, options: { maxHistorySize?: number; compactThreshold?: number } = {}) {
+    super();
+    this.filePath = filePath;
+    this.maxHistorySize = options.maxHistorySize || 1000;
+    this.compactThreshold = options.compactThreshold || 10000;
+    this.fd = null;
+    this.recordsSinceCompaction = 0;
+    this.written = new Map();
+
+    this.replay();
+    this.compact();
+  }
+
+  public save(twin: DigitalTwin, newTelemetry: Telemetry[] = [], updatedTelemetry: Telemetry[] = []): void {
+    super.save(twin);
+
+    const records: LogRecord[] = [];
+    const fields = serializeFields(twin);
+    const previous = this.written.get(twin.shipmentId) || new Map<string, string>();
+    const set: Record<string, unknown> = {};
+    fields.forEach((json, field) => {
+      if (previous.get(field) !== json) {
+        set[field] = (twin as unknown as Record<string, unknown>)[field];
+      }
+    });
+    const unset = Array.from(previous.keys()).filter(field => !fields.has(field));
+    if (Object.keys(set).length > 0 || unset.length > 0) {
+      records.push({ op: 'patch', shipmentId: twin.shipmentId, set, ...(unset.length > 0 ? { unset } : {}) });
+      this.written.set(twin.shipmentId, fields);
+    }
+
+    newTelemetry.forEach(telemetry => {
+      records.push({ op: 'telemetry', shipmentId: twin.shipmentId, telemetry });
+    });
+    updatedTelemetry.forEach(telemetry => {
+      if (telemetry.quality) {
+        records.push({
+          op: 'quality',
+          shipmentId: twin.shipmentId,
+          deviceId: telemetry.deviceId,
+          timestamp: telemetry.timestamp,
+          quality: telemetry.quality
+        });
+      }
+    });
+
+    if (records.length > 0) {
+      this.append(records);
+    }
+  }
+
+  public delete(shipmentId: string): void {
+    super.delete(shipmentId);
+    this.written.delete(shipmentId);
+    this.append([{ op: 'delete', shipmentId }]);
+  }
+
+  public close(): void {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  // Rewrite the log with a single snapshot per twin
+  public compact(): void {
+    const tmpPath = `${this.filePath}.tmp`;
+    const lines: string[] = [];
+
+    this.written.clear();
+    this.twins.forEach(twin => {
+      const { telemetryHistory, ...state } = twin;
+      lines.push(JSON.stringify({ op: 'twin', twin: state }));
+      this.written.set(twin.shipmentId, serializeFields(twin));
+      telemetryHistory.forEach(telemetry => {
+        lines.push(JSON.stringify({ op: 'telemetry', shipmentId: twin.shipmentId, telemetry }));
+      });
+    });
+
+    this.close();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmpPath, this.filePath);
+
+    this.fd = fs.openSync(this.filePath, 'a');
+    this.recordsSinceCompaction = 0;
+  }
+
+  private append(records: LogRecord[]): void {
+    if (this.fd === null) {
+      this.fd = fs.openSync(this.filePath, 'a');
+    }
+
+    fs.writeSync(this.fd, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+
+    this.recordsSinceCompaction += records.length;
+    if (this.recordsSinceCompaction >= this.compactThreshold) {
+      this.compact();
+    }
+  }
+
+  // Rebuild twins from the log, tolerating a truncated final line
+  private replay(): void {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const histories = new Map<string, Telemetry[]>();
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+    lines.forEach(line => {
+      if (!line.trim()) return;
+
+      let record: LogRecord;
+      try {
+        record = JSON.parse(line, reviveDates);
+      } catch {
+        return;
+      }
+
+      switch (record.op) {
+        case 'twin': {
+          const history = histories.get(record.twin.shipmentId) || [];
+          histories.set(record.twin.shipmentId, history);
+          this.twins.set(record.twin.shipmentId, { ...record.twin, telemetryHistory: history } as DigitalTwin);
+          break;
+        }
+        case 'patch': {
+          const history = histories.get(record.shipmentId) || [];
+          histories.set(record.shipmentId, history);
+          const twin = this.twins.get(record.shipmentId)
+            || ({ shipmentId: record.shipmentId, telemetryHistory: history } as DigitalTwin);
+          Object.assign(twin, record.set);
+          (record.unset || []).forEach(field => {
+            delete (twin as unknown as Record<string, unknown>)[field];
+          });
+          this.twins.set(record.shipmentId, twin);
+          break;
+        }
+        case 'telemetry': {
+          const history = histories.get(record.shipmentId);
+          if (history && insertTelemetry(history, record.telemetry)) {
+            if (history.length > this.maxHistorySize) {
+              history.shift();
+            }
+          }
+          break;
+        }
+        case 'quality': {
+          const at = new Date(record.timestamp).getTime();
+          const reading = histories.get(record.shipmentId)?.find(telemetry =>
+            telemetry.deviceId === record.deviceId && new Date(telemetry.timestamp).getTime() === at
+          );
+          if (reading) {
+            reading.quality = record.quality;
+          }
+          break;
+        }
+        case 'delete':
+          this.twins.delete(record.shipmentId);
+          histories.delete(record.shipmentId);
+          break;
+      }
+    });
+  }
+}
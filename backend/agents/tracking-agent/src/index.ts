@@ -1,11 +1,21 @@
 import express, { Request, Response, NextFunction } from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import { EventEmitter } from 'events';
 import Joi from 'joi';
 import winston from 'winston';
 import dotenv from 'dotenv';
-import { TrackingAgent, Telemetry } from './TrackingAgent';
+import { Readable, pipeline } from 'stream';
+import {
+  TrackingAgent, Telemetry, Alert, THRESHOLD_PROFILES, STATUS_TRANSITIONS, TELEMETRY_FIELDS, SENSOR_NAMES, telemetryField, alertStatus
+} from './TrackingAgent';
+import { TwinStore, MemoryTwinStore, FileTwinStore } from './TwinStore';
+import { EventStream } from './EventStream';
+import { DeviceRegistry, DevicePolicy, RejectionReason, publicDevice, CHANNEL_NAME_PATTERN } from './DeviceRegistry';
+import { verifyTelemetry } from './TelemetrySignature';
+import { buildDashboard, DASHBOARD_RANGES, SensorAggregates } from './Dashboard';
+import {
+  NotificationDispatcher, NotificationConfig, DeliveryStatus, readNotificationConfig, publicNotificationConfig
+} from './Notifications';
 
 // Load environment variables
 dotenv.config();
@@ -28,12 +38,199 @@ const logger = winston.createLogger({
   ]
 });
 
-// Telemetry event emitter
-class TelemetryEmitter extends EventEmitter {}
-const telemetryEmitter = new TelemetryEmitter();
+// Digital twin storage backend
+const MAX_HISTORY_SIZE = parseInt(process.env.MAX_HISTORY_SIZE || '1000');
+
+function createTwinStore(): TwinStore {
+  if (process.env.TWIN_STORE === 'memory') {
+    return new MemoryTwinStore();
+  }
+
+  const filePath = process.env.TWIN_STORE_PATH || './data/digital-twins.log';
+  const store = new FileTwinStore(filePath, { maxHistorySize: MAX_HISTORY_SIZE });
+  logger.info('Digital twins loaded from disk', {
+    path: filePath,
+    count: store.getAll().length
+  });
+  return store;
+}
 
 // Initialize Tracking Agent
-const trackingAgent = new TrackingAgent(telemetryEmitter);
+const trackingAgent = new TrackingAgent(MAX_HISTORY_SIZE, createTwinStore());
+
+// Registered devices and their shipment bindings; persisted next to the twins
+const deviceRegistry = new DeviceRegistry({
+  filePath: process.env.TWIN_STORE === 'memory'
+    ? undefined
+    : process.env.DEVICE_REGISTRY_PATH || './data/devices.json',
+  logger
+});
+const DEVICE_POLICY = (process.env.DEVICE_POLICY || 'off') as DevicePolicy;
+if (!['off', 'quarantine', 'reject'].includes(DEVICE_POLICY)) {
+  throw new Error(`DEVICE_POLICY must be off, quarantine or reject (got ${DEVICE_POLICY})`);
+}
+
+// Apply the device policy to a reading; returns why it must not reach the twin, if so.
+// Has no side effects, so a whole batch can be checked before any of it is applied.
+function screenTelemetry(telemetry: Telemetry): RejectionReason | undefined {
+  return DEVICE_POLICY === 'off' ? undefined : deviceRegistry.checkTelemetry(telemetry);
+}
+
+// Log a reading the device policy turned away and, under quarantine, keep it for review
+function holdBackTelemetry(telemetry: Telemetry, reason: RejectionReason): void {
+  logger.warn(DEVICE_POLICY === 'quarantine' ? 'Telemetry quarantined' : 'Telemetry rejected', {
+    shipmentId: telemetry.shipmentId,
+    deviceId: telemetry.deviceId,
+    reason
+  });
+  if (DEVICE_POLICY === 'quarantine') {
+    deviceRegistry.quarantineTelemetry(telemetry, reason);
+  }
+}
+
+// off: ignore signatures; flag: record the verification result with each reading;
+// require: also refuse readings that are not signed with the device's key
+const SIGNATURE_POLICY = process.env.SIGNATURE_POLICY || 'flag';
+if (!['off', 'flag', 'require'].includes(SIGNATURE_POLICY)) {
+  throw new Error(`SIGNATURE_POLICY must be off, flag or require (got ${SIGNATURE_POLICY})`);
+}
+
+// Attach the signature check to a reading; returns false when the policy refuses it
+function authenticateTelemetry(telemetry: Telemetry): boolean {
+  if (SIGNATURE_POLICY === 'off') {
+    return true;
+  }
+
+  telemetry.verification = verifyTelemetry(telemetry, deviceRegistry.get(telemetry.deviceId)?.credentials);
+  if (telemetry.verification.status === 'verified') {
+    return true;
+  }
+
+  logger.warn('Telemetry signature not verified', {
+    shipmentId: telemetry.shipmentId,
+    deviceId: telemetry.deviceId,
+    status: telemetry.verification.status
+  });
+  return SIGNATURE_POLICY !== 'require';
+}
+
+// Flag devices that stop reporting
+trackingAgent.startWatchdog(parseInt(process.env.WATCHDOG_INTERVAL_MS || '30000'));
+
+// Alert notifications; disabled unless NOTIFICATIONS_CONFIG names a config file
+const severitySchema = Joi.string().valid('low', 'medium', 'high', 'critical');
+const rateLimitSchema = Joi.object({
+  max: Joi.number().integer().min(1).required(),
+  perMinutes: Joi.number().positive().required()
+});
+const notificationConfigSchema = Joi.object({
+  channels: Joi.array().items(Joi.alternatives().conditional('.type', {
+    switch: [
+      {
+        is: 'smtp',
+        then: Joi.object({
+          id: Joi.string().required(),
+          type: Joi.string().required(),
+          host: Joi.string().required(),
+          port: Joi.number().port().required(),
+          secure: Joi.boolean().optional(),
+          username: Joi.string().allow('').optional(),
+          password: Joi.string().allow('').optional(),
+          from: Joi.string().email({ tlds: false }).required(),
+          to: Joi.array().items(Joi.string().email({ tlds: false })).min(1).required(),
+          rateLimit: rateLimitSchema.optional()
+        })
+      },
+      {
+        is: 'webhook',
+        then: Joi.object({
+          id: Joi.string().required(),
+          type: Joi.string().required(),
+          url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+          headers: Joi.object().pattern(Joi.string(), Joi.string()).optional(),
+          secret: Joi.string().allow('').optional(),
+          rateLimit: rateLimitSchema.optional()
+        })
+      },
+      {
+        is: 'slack',
+        then: Joi.object({
+          id: Joi.string().required(),
+          type: Joi.string().required(),
+          url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+          rateLimit: rateLimitSchema.optional()
+        })
+      },
+      {
+        is: 'sms',
+        then: Joi.object({
+          id: Joi.string().required(),
+          type: Joi.string().required(),
+          url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+          headers: Joi.object().pattern(Joi.string(), Joi.string()).optional(),
+          from: Joi.string().optional(),
+          to: Joi.array().items(Joi.string()).min(1).required(),
+          rateLimit: rateLimitSchema.optional()
+        })
+      }
+    ],
+    otherwise: Joi.object({ type: Joi.string().valid('smtp', 'webhook', 'slack', 'sms').required() }).unknown()
+  })).unique('id').required(),
+  routes: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    severities: Joi.array().items(severitySchema).optional(),
+    types: Joi.array().items(Joi.string()).optional(),
+    shipmentIds: Joi.array().items(Joi.string()).optional(),
+    customers: Joi.array().items(Joi.string()).optional(),
+    channels: Joi.array().items(Joi.string()).min(1).required(),
+    cooldownMinutes: Joi.number().min(0).optional(),
+    quietPeriods: Joi.array().items(Joi.object({
+      start: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+      end: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+      days: Joi.array().items(Joi.number().integer().min(0).max(6)).optional(),
+      timezone: Joi.string().optional(),
+      minSeverity: severitySchema.optional()
+    })).optional()
+  })).unique('id').required()
+});
+
+function createNotificationDispatcher(): NotificationDispatcher | undefined {
+  const configPath = process.env.NOTIFICATIONS_CONFIG;
+  if (!configPath) {
+    return undefined;
+  }
+
+  const { error, value } = notificationConfigSchema.validate(readNotificationConfig(configPath), { abortEarly: false });
+  if (error) {
+    throw new Error(`Invalid notification config ${configPath}: ${error.details.map(detail => detail.message).join('; ')}`);
+  }
+  const dispatcher = new NotificationDispatcher(value as NotificationConfig);
+  dispatcher.attach(trackingAgent);
+  return dispatcher;
+}
+const notifications = createNotificationDispatcher();
+
+// Event feed for downstream consumers (compliance agent, dashboards)
+const eventStream = new EventStream(
+  trackingAgent,
+  [
+    'digital-twin:updated',
+    'alert', 'alert:updated', 'alert:resolved',
+    'alert:acknowledged', 'alert:assigned', 'alert:note', 'alert:escalated',
+    'geofence:set', 'geofence:entered', 'geofence:exited', 'route:set',
+    'shipment:updated', 'shipment:status-changed',
+    'eta:delayed', 'eta:recovered',
+    'stop:detected', 'stop:ended',
+    'device:offline', 'device:online',
+    'door:opened', 'door:closed',
+    'telemetry:suspect'
+  ],
+  parseInt(process.env.EVENT_BUFFER_SIZE || '1000')
+);
+
+// Fleet-wide sensor averages for the dashboard, kept up to date as readings arrive
+const sensorAggregates = new SensorAggregates();
+sensorAggregates.attach(trackingAgent);
 
 // Telemetry validation schema
 const telemetrySchema = Joi.object({
@@ -50,15 +247,201 @@ const telemetrySchema = Joi.object({
     humidity: Joi.number().min(0).max(100).optional(),
     vibration: Joi.number().min(0).optional(),
     shock: Joi.number().min(0).optional(),
-    tilt: Joi.number().min(0).max(360).optional()
+    tilt: Joi.number().min(0).max(360).optional(),
+    door: Joi.string().valid('open', 'closed').optional(),
+    light: Joi.number().min(0).optional(),
+    seal: Joi.string().valid('intact', 'broken').optional()
   }).optional(),
+  // Checked against the device type's declared channels after schema validation
+  channels: Joi.object().pattern(Joi.string().pattern(CHANNEL_NAME_PATTERN), Joi.number()).optional(),
   battery: Joi.number().min(0).max(100).optional(),
   signal: Joi.object({
     strength: Joi.number().min(-120).max(0).optional(),
     network: Joi.string().optional()
+  }).optional(),
+  position: Joi.string().optional(),
+  signature: Joi.object({
+    algorithm: Joi.string().valid('HMAC-SHA256', 'Ed25519').required(),
+    value: Joi.string().base64().required(),
+    keyId: Joi.string().optional()
+  }).optional()
+});
+
+// Device registry validation
+const deviceSchema = Joi.object({
+  deviceId: Joi.string().required(),
+  type: Joi.string().required(),
+  firmware: Joi.string().optional(),
+  capabilities: Joi.array().items(Joi.string().valid(...SENSOR_NAMES)).unique().optional(),
+  credentials: Joi.object({
+    hmacSecret: Joi.string().min(16).optional(),
+    publicKey: Joi.string().pattern(/-----BEGIN PUBLIC KEY-----/).optional()
   }).optional()
 });
 
+const deviceTypeSchema = Joi.object({
+  description: Joi.string().optional(),
+  channels: Joi.array().items(Joi.object({
+    name: Joi.string().pattern(CHANNEL_NAME_PATTERN).required(),
+    unit: Joi.string().required(),
+    min: Joi.number().optional(),
+    max: Joi.number().optional(),
+    description: Joi.string().optional()
+  })).unique('name').required()
+});
+
+const deviceBindingSchema = Joi.object({
+  shipmentId: Joi.string().required(),
+  at: Joi.date().iso().optional()
+});
+
+// Buffered readings uploaded in one request
+const telemetryBatchSchema = Joi.array().items(telemetrySchema).min(1).max(1000);
+
+// Telemetry history query; interval is seconds or a duration such as 15m, 1h, 1d
+const DURATION_UNITS: Record<string, number> = { s: 1, m: 60, h: 3600, d: 86400 };
+const telemetryQuerySchema = Joi.object({
+  deviceId: Joi.string().optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional(),
+  fields: Joi.string().custom((value: string, helpers) => {
+    const fields = value.split(',').map(field => field.trim()).filter(Boolean);
+    const unknown = fields.filter(field => !telemetryField(field));
+    if (unknown.length > 0) {
+      return helpers.message({ custom: `Unknown fields: ${unknown.join(', ')}. Valid fields: ${Object.keys(TELEMETRY_FIELDS).join(', ')} or channels.<name>` });
+    }
+    return fields;
+  }).optional(),
+  interval: Joi.string().custom((value: string, helpers) => {
+    const match = /^(\d+)([smhd]?)$/.exec(value.trim());
+    if (!match || parseInt(match[1]) === 0) {
+      return helpers.message({ custom: 'interval must be a positive number of seconds or a duration such as 15m, 1h, 1d' });
+    }
+    return parseInt(match[1]) * DURATION_UNITS[match[2] || 's'];
+  }).optional(),
+  limit: Joi.number().integer().min(1).optional(),
+  format: Joi.string().valid('json', 'ndjson').default('json')
+});
+
+// Comma-separated query list, optionally restricted to the given values
+function queryList(...valid: string[]) {
+  return Joi.string().custom((value: string, helpers) => {
+    const items = value.split(',').map(item => item.trim()).filter(Boolean);
+    const invalid = valid.length > 0 ? items.filter(item => !valid.includes(item)) : [];
+    if (invalid.length > 0) {
+      return helpers.message({ custom: `Invalid values: ${invalid.join(', ')}. Valid values: ${valid.join(', ')}` });
+    }
+    return items;
+  });
+}
+
+// Cross-shipment alert listing
+const alertQuerySchema = Joi.object({
+  shipmentId: Joi.string().optional(),
+  severity: queryList('low', 'medium', 'high', 'critical').optional(),
+  type: queryList().optional(),
+  status: queryList('open', 'acknowledged', 'resolved').optional(),
+  assignee: Joi.string().optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional(),
+  limit: Joi.number().integer().min(1).optional()
+});
+
+// Alert workflow steps; `by` names the operator
+const alertActionSchema = Joi.object({
+  by: Joi.string().required(),
+  note: Joi.string().optional()
+});
+
+// Resolving predates the workflow, so clients that resolve without naming an operator keep working
+const alertResolveSchema = alertActionSchema.keys({
+  by: Joi.string().optional()
+});
+
+// GeoJSON Polygon / MultiPolygon validation ([longitude, latitude] positions)
+const positionSchema = Joi.array().ordered(
+  Joi.number().min(-180).max(180).required(),
+  Joi.number().min(-90).max(90).required()
+).items(Joi.number());
+const linearRingSchema = Joi.array().items(positionSchema).min(4);
+const geometrySchema = Joi.object({
+  type: Joi.string().valid('Polygon', 'MultiPolygon').required(),
+  coordinates: Joi.when('type', {
+    is: 'Polygon',
+    then: Joi.array().items(linearRingSchema).min(1),
+    otherwise: Joi.array().items(Joi.array().items(linearRingSchema).min(1)).min(1)
+  }).required()
+});
+
+// Accept GeoJSON Features as well as bare geometries
+function unwrapFeature(geometry: any): any {
+  return geometry && geometry.type === 'Feature' ? geometry.geometry : geometry;
+}
+
+// Per-sensor threshold overrides
+const excursionLimitSchema = {
+  hysteresis: Joi.number().min(0).optional(),
+  maxExcursionMinutes: Joi.number().min(0).optional(),
+  maxCumulativeMinutes: Joi.number().min(0).optional()
+};
+const thresholdsSchema = Joi.object({
+  temperature: Joi.object({
+    min: Joi.number().optional(),
+    max: Joi.number().optional(),
+    ...excursionLimitSchema
+  }).optional(),
+  humidity: Joi.object({ max: Joi.number().min(0).max(100).optional(), ...excursionLimitSchema }).optional(),
+  vibration: Joi.object({ max: Joi.number().min(0).optional(), ...excursionLimitSchema }).optional(),
+  shock: Joi.object({ max: Joi.number().min(0).optional(), ...excursionLimitSchema }).optional(),
+  battery: Joi.object({
+    min: Joi.number().min(0).max(100).optional(),
+    hysteresis: Joi.number().min(0).optional()
+  }).optional(),
+  signal: Joi.object({
+    min: Joi.number().min(-120).max(0).optional(),
+    hysteresis: Joi.number().min(0).optional()
+  }).optional(),
+  stop: Joi.object({
+    radius: Joi.number().positive().optional(),
+    minDwellMinutes: Joi.number().positive().optional()
+  }).optional(),
+  light: Joi.object({
+    max: Joi.number().min(0).optional(),
+    hysteresis: Joi.number().min(0).optional()
+  }).optional(),
+  reporting: Joi.object({
+    expectedIntervalSeconds: Joi.number().positive().optional(),
+    offlineMultiplier: Joi.number().min(1).optional()
+  }).optional(),
+  delay: Joi.object({
+    maxMinutes: Joi.number().min(0).required(),
+    hysteresis: Joi.number().min(0).optional()
+  }).optional(),
+  mkt: Joi.object({
+    max: Joi.number().required(),
+    activationEnergy: Joi.number().positive().optional(),
+    hysteresis: Joi.number().min(0).optional()
+  }).optional(),
+  quality: Joi.object({
+    maxSpeedKmh: Joi.number().positive().optional(),
+    anomalyZScore: Joi.number().positive().optional(),
+    anomalyWindow: Joi.number().integer().min(5).optional(),
+    confirmSamples: Joi.number().integer().min(1).optional()
+  }).optional(),
+  channels: Joi.object().pattern(Joi.string().pattern(CHANNEL_NAME_PATTERN), Joi.object({
+    min: Joi.number().optional(),
+    max: Joi.number().optional(),
+    severity: Joi.string().valid('low', 'medium', 'high', 'critical').optional(),
+    ...excursionLimitSchema
+  })).optional()
+});
+
+const shipmentLocationSchema = Joi.object({
+  name: Joi.string().optional(),
+  latitude: Joi.number().min(-90).max(90).required(),
+  longitude: Joi.number().min(-180).max(180).required()
+});
+
 // Types (using types from TrackingAgent)
 type TelemetryData = Telemetry;
 
@@ -76,8 +459,8 @@ const PORT = process.env.PORT || 3001;
 app.use(helmet());
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID']
 }));
 app.use(express.json({ limit: '10mb' }));
 
@@ -124,6 +507,78 @@ app.get('/digital-twins', (_req: Request, res: Response) => {
   });
 });
 
+// Serialize lazily, one line per reading, so a long history is never held in memory
+// as text all at once
+function* ndjsonLines(items: any[]): Generator<string> {
+  for (const item of items) {
+    yield `${JSON.stringify(item)}\n`;
+  }
+}
+
+app.get('/digital-twin/:shipmentId/telemetry', (req: Request, res: Response) => {
+  const { shipmentId } = req.params;
+  const { error, value } = telemetryQuerySchema.validate(req.query, { abortEarly: false, convert: true });
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details.map(detail => detail.message).join('; '),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!trackingAgent.getDigitalTwin(shipmentId)) {
+    return res.status(404).json({
+      error: 'Digital Twin Not Found',
+      message: `No digital twin found for shipment ID: ${shipmentId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const telemetry = trackingAgent.queryTelemetry(shipmentId, {
+    deviceId: value.deviceId,
+    from: value.from,
+    to: value.to,
+    fields: value.fields,
+    intervalSeconds: value.interval,
+    limit: value.limit
+  });
+
+  // One reading per line, so consumers such as the trip log export can process the
+  // history as it arrives; the summary an exporter needs up front goes in headers
+  if (value.format === 'ndjson') {
+    const readings: any[] = telemetry; // readings, or buckets when downsampled
+    const channels = new Set<string>();
+    readings.forEach(reading => Object.keys(reading.channels || {}).forEach(name => channels.add(name)));
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('X-Telemetry-Count', String(readings.length));
+    res.setHeader('X-Telemetry-Channels', Array.from(channels).join(','));
+    if (readings.length > 0) {
+      const first = readings[0];
+      const last = readings[readings.length - 1];
+      res.setHeader('X-Telemetry-Start', new Date(first.timestamp || first.start).toISOString());
+      res.setHeader('X-Telemetry-End', new Date(last.timestamp || last.end).toISOString());
+    }
+
+    pipeline(Readable.from(ndjsonLines(readings)), res, streamError => {
+      if (streamError) {
+        logger.warn('Telemetry stream ended early', { shipmentId, error: streamError.message });
+      }
+    });
+    return undefined;
+  }
+
+  return res.json({
+    shipmentId,
+    telemetry,
+    count: telemetry.length,
+    downsampled: value.interval !== undefined,
+    intervalSeconds: value.interval,
+    timestamp: new Date().toISOString()
+  });
+});
+
 app.get('/digital-twin/:shipmentId/alerts', (req: Request, res: Response) => {
   const { shipmentId } = req.params;
   const activeOnly = req.query.active === 'true';
@@ -149,24 +604,670 @@ app.get('/digital-twin/:shipmentId/alerts', (req: Request, res: Response) => {
   });
 });
 
+app.put('/digital-twin/:shipmentId/shipment', (req: Request, res: Response) => {
+  const { shipmentId } = req.params;
+  const schema = Joi.object({
+    origin: shipmentLocationSchema.optional(),
+    destination: shipmentLocationSchema.optional(),
+    plannedEta: Joi.date().iso().optional(),
+    consignee: Joi.string().optional()
+  }).min(1);
+
+  const { error, value } = schema.validate(req.body, { abortEarly: false, convert: true });
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details.map(detail => detail.message).join('; '),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const existed = !!trackingAgent.getDigitalTwin(shipmentId);
+  const twin = trackingAgent.setShipmentDetails(shipmentId, value);
+  if (!twin) {
+    return res.status(404).json({
+      error: 'Digital Twin Not Found',
+      message: `No digital twin found for shipment ID: ${shipmentId}; provide an origin to register it`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return res.status(existed ? 200 : 201).json({
+    message: existed ? 'Shipment details updated successfully' : 'Shipment registered successfully',
+    shipmentId,
+    status: twin.status,
+    origin: twin.origin,
+    destination: twin.destination,
+    plannedEta: twin.plannedEta,
+    consignee: twin.consignee,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/digital-twin/:shipmentId/status', (req: Request, res: Response) => {
+  const { shipmentId } = req.params;
+  const twin = trackingAgent.getDigitalTwin(shipmentId);
+
+  if (!twin) {
+    return res.status(404).json({
+      error: 'Digital Twin Not Found',
+      message: `No digital twin found for shipment ID: ${shipmentId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return res.json({
+    shipmentId,
+    status: twin.status,
+    allowedTransitions: trackingAgent.getAllowedTransitions(shipmentId),
+    history: twin.statusHistory,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.post('/digital-twin/:shipmentId/status', (req: Request, res: Response) => {
+  const { shipmentId } = req.params;
+  const schema = Joi.object({
+    status: Joi.string().valid(...Object.keys(STATUS_TRANSITIONS)).required(),
+    reason: Joi.string().optional(),
+    by: Joi.string().optional()
+  });
+
+  const { error, value } = schema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details.map(detail => detail.message).join('; '),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!trackingAgent.getDigitalTwin(shipmentId)) {
+    return res.status(404).json({
+      error: 'Digital Twin Not Found',
+      message: `No digital twin found for shipment ID: ${shipmentId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const transition = trackingAgent.transitionStatus(shipmentId, value.status, {
+      reason: value.reason,
+      by: value.by
+    });
+
+    return res.status(201).json({
+      message: 'Shipment status updated successfully',
+      shipmentId,
+      transition,
+      allowedTransitions: trackingAgent.getAllowedTransitions(shipmentId),
+      timestamp: new Date().toISOString()
+    });
+  } catch (transitionError) {
+    return res.status(409).json({
+      error: 'Invalid Status Transition',
+      message: (transitionError as Error).message,
+      allowedTransitions: trackingAgent.getAllowedTransitions(shipmentId),
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.get('/digital-twin/:shipmentId/eta', (req: Request, res: Response) => {
+  const { shipmentId } = req.params;
+  const twin = trackingAgent.getDigitalTwin(shipmentId);
+
+  if (!twin) {
+    return res.status(404).json({
+      error: 'Digital Twin Not Found',
+      message: `No digital twin found for shipment ID: ${shipmentId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return res.json({
+    shipmentId,
+    status: twin.status,
+    destination: twin.destination,
+    plannedEta: twin.plannedEta,
+    eta: twin.eta,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/digital-twin/:shipmentId/stops', (req: Request, res: Response) => {
+  const { shipmentId } = req.params;
+  const unscheduledOnly = req.query.unscheduled === 'true';
+  const twin = trackingAgent.getDigitalTwin(shipmentId);
+
+  if (!twin) {
+    return res.status(404).json({
+      error: 'Digital Twin Not Found',
+      message: `No digital twin found for shipment ID: ${shipmentId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const stops = (twin.stops || []).filter(stop => !unscheduledOnly || !stop.scheduled);
+  return res.json({
+    shipmentId,
+    stops,
+    count: stops.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/digital-twin/:shipmentId/door-events', (req: Request, res: Response) => {
+  const { shipmentId } = req.params;
+  const unauthorizedOnly = req.query.unauthorized === 'true';
+  const twin = trackingAgent.getDigitalTwin(shipmentId);
+
+  if (!twin) {
+    return res.status(404).json({
+      error: 'Digital Twin Not Found',
+      message: `No digital twin found for shipment ID: ${shipmentId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const events = (twin.doorEvents || []).filter(event => !unauthorizedOnly || !event.authorized);
+  return res.json({
+    shipmentId,
+    events,
+    count: events.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/digital-twin/:shipmentId/reporting', (req: Request, res: Response) => {
+  const { shipmentId } = req.params;
+  const twin = trackingAgent.getDigitalTwin(shipmentId);
+
+  if (!twin) {
+    return res.status(404).json({
+      error: 'Digital Twin Not Found',
+      message: `No digital twin found for shipment ID: ${shipmentId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return res.json({
+    shipmentId,
+    ...trackingAgent.getReportingSummary(shipmentId),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/digital-twin/:shipmentId/data-quality', (req: Request, res: Response) => {
+  const { shipmentId } = req.params;
+  const summary = trackingAgent.getDataQualitySummary(shipmentId);
+
+  if (!summary) {
+    return res.status(404).json({
+      error: 'Digital Twin Not Found',
+      message: `No digital twin found for shipment ID: ${shipmentId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return res.json({
+    shipmentId,
+    ...summary,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Device registry endpoints
+app.post('/devices', (req: Request, res: Response) => {
+  const { error, value } = deviceSchema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details.map(detail => detail.message).join('; '),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const isNew = !deviceRegistry.get(value.deviceId);
+  const device = deviceRegistry.register(value);
+  logger.info(isNew ? 'Device registered' : 'Device updated', {
+    deviceId: device.deviceId,
+    type: device.type,
+    firmware: device.firmware
+  });
+
+  return res.status(isNew ? 201 : 200).json({
+    device: publicDevice(device),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/devices', (_req: Request, res: Response) => {
+  const devices = deviceRegistry.getAll().map(publicDevice);
+  res.json({
+    devices,
+    count: devices.length,
+    policy: DEVICE_POLICY,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/devices/quarantine', (req: Request, res: Response) => {
+  const quarantined = deviceRegistry.getQuarantine({
+    shipmentId: req.query.shipmentId as string | undefined,
+    deviceId: req.query.deviceId as string | undefined
+  });
+  res.json({
+    quarantined,
+    count: quarantined.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/devices/:deviceId', (req: Request, res: Response) => {
+  const { deviceId } = req.params;
+  const device = deviceRegistry.get(deviceId);
+
+  if (!device) {
+    return res.status(404).json({
+      error: 'Device Not Found',
+      message: `No device registered with ID: ${deviceId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return res.json(publicDevice(device));
+});
+
+// Device types and the custom sensor channels their devices report
+app.put('/device-types/:type', (req: Request, res: Response) => {
+  const { type } = req.params;
+  const { error, value } = deviceTypeSchema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details.map(detail => detail.message).join('; '),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const isNew = !deviceRegistry.getDeviceType(type);
+  try {
+    const deviceType = deviceRegistry.registerDeviceType({ type, ...value });
+    logger.info(isNew ? 'Device type registered' : 'Device type updated', {
+      type,
+      channels: deviceType.channels.map(channel => channel.name)
+    });
+    return res.status(isNew ? 201 : 200).json({
+      deviceType,
+      timestamp: new Date().toISOString()
+    });
+  } catch (registerError) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: registerError instanceof Error ? registerError.message : String(registerError),
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.get('/device-types', (_req: Request, res: Response) => {
+  const deviceTypes = deviceRegistry.getDeviceTypes();
+  res.json({
+    deviceTypes,
+    count: deviceTypes.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/device-types/:type', (req: Request, res: Response) => {
+  const { type } = req.params;
+  const deviceType = deviceRegistry.getDeviceType(type);
+
+  if (!deviceType) {
+    return res.status(404).json({
+      error: 'Device Type Not Found',
+      message: `No device type registered with name: ${type}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return res.json(deviceType);
+});
+
+app.post('/devices/:deviceId/bind', (req: Request, res: Response) => {
+  const { deviceId } = req.params;
+  const { error, value } = deviceBindingSchema.validate(req.body, { abortEarly: false, convert: true });
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details.map(detail => detail.message).join('; '),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!deviceRegistry.get(deviceId)) {
+    return res.status(404).json({
+      error: 'Device Not Found',
+      message: `No device registered with ID: ${deviceId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const device = deviceRegistry.bind(deviceId, value.shipmentId, value.at);
+    logger.info('Device bound to shipment', { deviceId, shipmentId: value.shipmentId });
+    return res.json({
+      device: publicDevice(device),
+      timestamp: new Date().toISOString()
+    });
+  } catch (bindError) {
+    return res.status(409).json({
+      error: 'Binding Conflict',
+      message: bindError instanceof Error ? bindError.message : String(bindError),
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.post('/devices/:deviceId/unbind', (req: Request, res: Response) => {
+  const { deviceId } = req.params;
+  const { error, value } = Joi.object({ at: Joi.date().iso().optional() })
+    .validate(req.body || {}, { convert: true });
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details.map(detail => detail.message).join('; '),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!deviceRegistry.get(deviceId)) {
+    return res.status(404).json({
+      error: 'Device Not Found',
+      message: `No device registered with ID: ${deviceId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const device = deviceRegistry.unbind(deviceId, value.at);
+    logger.info('Device unbound from shipment', { deviceId });
+    return res.json({
+      device: publicDevice(device),
+      timestamp: new Date().toISOString()
+    });
+  } catch (unbindError) {
+    return res.status(409).json({
+      error: 'Binding Conflict',
+      message: unbindError instanceof Error ? unbindError.message : String(unbindError),
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Loggers on a shipment: readings from the twin plus registry details of bound devices
+app.get('/digital-twin/:shipmentId/devices', (req: Request, res: Response) => {
+  const { shipmentId } = req.params;
+  const twin = trackingAgent.getDigitalTwin(shipmentId);
+  const deviceIds = new Set([
+    ...Object.keys(twin?.devices || {}),
+    ...deviceRegistry.getDevicesForShipment(shipmentId).map(device => device.deviceId)
+  ]);
+
+  const devices = Array.from(deviceIds).map(deviceId => {
+    const registered = deviceRegistry.get(deviceId);
+    return {
+      deviceId,
+      primary: twin?.deviceId === deviceId,
+      ...twin?.devices?.[deviceId],
+      registration: registered ? publicDevice(registered) : undefined
+    };
+  });
+
+  res.json({
+    shipmentId,
+    devices,
+    count: devices.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.put('/digital-twin/:shipmentId/devices/:deviceId', (req: Request, res: Response) => {
+  const { shipmentId, deviceId } = req.params;
+  const { error, value } = Joi.object({ position: Joi.string().required() }).validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details.map(detail => detail.message).join('; '),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const device = trackingAgent.setDevicePosition(shipmentId, deviceId, value.position);
+  if (!device) {
+    return res.status(404).json({
+      error: 'Device Not Found',
+      message: `Device ${deviceId} has not reported for shipment ID: ${shipmentId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return res.json({
+    shipmentId,
+    device,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/threshold-profiles', (_req: Request, res: Response) => {
+  res.json({
+    profiles: THRESHOLD_PROFILES,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/digital-twin/:shipmentId/thresholds', (req: Request, res: Response) => {
+  const { shipmentId } = req.params;
+  const twin = trackingAgent.getDigitalTwin(shipmentId);
+
+  if (!twin) {
+    return res.status(404).json({
+      error: 'Digital Twin Not Found',
+      message: `No digital twin found for shipment ID: ${shipmentId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return res.json({
+    shipmentId,
+    profile: twin.thresholdProfile,
+    thresholds: twin.thresholds,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.put('/digital-twin/:shipmentId/thresholds', (req: Request, res: Response) => {
+  const { shipmentId } = req.params;
+  const schema = Joi.object({
+    profile: Joi.string().valid(...Object.keys(THRESHOLD_PROFILES)).optional(),
+    thresholds: thresholdsSchema.optional()
+  }).or('profile', 'thresholds');
+
+  const { error, value } = schema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details.map(detail => detail.message).join('; '),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const twin = trackingAgent.getDigitalTwin(shipmentId);
+  if (!twin) {
+    return res.status(404).json({
+      error: 'Digital Twin Not Found',
+      message: `No digital twin found for shipment ID: ${shipmentId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    if (value.profile) {
+      trackingAgent.assignThresholdProfile(shipmentId, value.profile, value.thresholds);
+    } else {
+      trackingAgent.setThresholds(shipmentId, value.thresholds);
+    }
+  } catch (thresholdError) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: (thresholdError as Error).message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const updated = trackingAgent.getDigitalTwin(shipmentId)!;
+  return res.json({
+    message: 'Thresholds updated successfully',
+    shipmentId,
+    profile: updated.thresholdProfile,
+    thresholds: updated.thresholds,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Thresholds for loggers at one sensor position, merged over the shipment thresholds
+app.put('/digital-twin/:shipmentId/positions/:position/thresholds', (req: Request, res: Response) => {
+  const { shipmentId, position } = req.params;
+  const { error, value } = thresholdsSchema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details.map(detail => detail.message).join('; '),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const twin = trackingAgent.getDigitalTwin(shipmentId);
+  if (!twin) {
+    return res.status(404).json({
+      error: 'Digital Twin Not Found',
+      message: `No digital twin found for shipment ID: ${shipmentId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    trackingAgent.setPositionThresholds(shipmentId, position, value);
+  } catch (thresholdError) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: thresholdError instanceof Error ? thresholdError.message : String(thresholdError),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return res.json({
+    shipmentId,
+    position,
+    thresholds: twin.positionThresholds?.[position],
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/digital-twin/:shipmentId/mkt', (req: Request, res: Response) => {
+  const { shipmentId } = req.params;
+  const activationEnergy = req.query.activationEnergy !== undefined
+    ? parseFloat(String(req.query.activationEnergy))
+    : undefined;
+
+  if (activationEnergy !== undefined && (isNaN(activationEnergy) || activationEnergy <= 0)) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'activationEnergy must be a positive number in kJ/mol',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const twin = trackingAgent.getDigitalTwin(shipmentId);
+  if (!twin) {
+    return res.status(404).json({
+      error: 'Digital Twin Not Found',
+      message: `No digital twin found for shipment ID: ${shipmentId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const deviceId = typeof req.query.deviceId === 'string' ? req.query.deviceId : undefined;
+  if (deviceId && !twin.devices?.[deviceId]) {
+    return res.status(404).json({
+      error: 'Device Not Found',
+      message: `Device ${deviceId} has not reported for shipment ID: ${shipmentId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const mkt = trackingAgent.getMeanKineticTemperature(shipmentId, activationEnergy, deviceId);
+  if (!mkt) {
+    return res.status(404).json({
+      error: 'No Temperature Data',
+      message: `No trusted temperature readings recorded for shipment ID: ${shipmentId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return res.json({
+    shipmentId,
+    ...mkt,
+    timestamp: new Date().toISOString()
+  });
+});
+
 app.post('/digital-twin/:shipmentId/geofence', (req: Request, res: Response) => {
   const { shipmentId } = req.params;
   const geofenceSchema = Joi.object({
     center: Joi.object({
       latitude: Joi.number().min(-90).max(90).required(),
       longitude: Joi.number().min(-180).max(180).required()
-    }).required(),
-    radius: Joi.number().positive().required(),
+    }).optional(),
+    radius: Joi.number().positive().optional(),
+    geometry: geometrySchema.optional(),
     allowedZones: Joi.array().items(
       Joi.object({
         latitude: Joi.number().min(-90).max(90).required(),
         longitude: Joi.number().min(-180).max(180).required(),
         radius: Joi.number().positive().required()
       })
-    ).optional()
-  });
-  
-  const { error, value } = geofenceSchema.validate(req.body);
+    ).optional(),
+    zones: Joi.array().items(
+      Joi.object({
+        id: Joi.string().required(),
+        name: Joi.string().optional(),
+        geometry: geometrySchema.optional(),
+        center: Joi.object({
+          latitude: Joi.number().min(-90).max(90).required(),
+          longitude: Joi.number().min(-180).max(180).required()
+        }).optional(),
+        radius: Joi.number().positive().optional()
+      }).and('center', 'radius').or('geometry', 'center')
+    ).unique('id').optional()
+  }).and('center', 'radius').or('center', 'geometry', 'zones');
+
+  const body = {
+    ...req.body,
+    geometry: unwrapFeature(req.body?.geometry),
+    zones: Array.isArray(req.body?.zones)
+      ? req.body.zones.map((zone: any) => ({ ...zone, geometry: unwrapFeature(zone?.geometry) }))
+      : req.body?.zones
+  };
+
+  const { error, value } = geofenceSchema.validate(body);
   if (error) {
     return res.status(400).json({
       error: 'Validation Error',
@@ -185,19 +1286,237 @@ app.post('/digital-twin/:shipmentId/geofence', (req: Request, res: Response) =>
   });
 });
 
-app.patch('/digital-twin/:shipmentId/alert/:alertId/resolve', (req: Request, res: Response) => {
+app.post('/digital-twin/:shipmentId/route', (req: Request, res: Response) => {
+  const { shipmentId } = req.params;
+  const routeSchema = Joi.object({
+    waypoints: Joi.array().items(
+      Joi.object({
+        latitude: Joi.number().min(-90).max(90).required(),
+        longitude: Joi.number().min(-180).max(180).required()
+      })
+    ).min(2).required(),
+    corridorWidth: Joi.number().positive().required()
+  });
+
+  const { error, value } = routeSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details.map(detail => detail.message).join('; '),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!trackingAgent.getDigitalTwin(shipmentId)) {
+    return res.status(404).json({
+      error: 'Digital Twin Not Found',
+      message: `No digital twin found for shipment ID: ${shipmentId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  trackingAgent.setRoute(shipmentId, value);
+
+  return res.status(201).json({
+    message: 'Planned route set successfully',
+    shipmentId,
+    route: value,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Fleet-wide KPIs for the frontend dashboard
+app.get('/api/tracking/dashboard/:timeRange', (req: Request, res: Response) => {
+  const { timeRange } = req.params;
+
+  if (!DASHBOARD_RANGES.has(timeRange)) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: `"timeRange" must be one of [${Array.from(DASHBOARD_RANGES.keys()).join(', ')}]`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return res.json({
+    ...buildDashboard(trackingAgent.getAllDigitalTwins(), timeRange, sensorAggregates),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Alert workflow: acknowledge, assign, note, escalate and resolve, recording who and when
+app.get('/alerts', (req: Request, res: Response) => {
+  const { error, value } = alertQuerySchema.validate(req.query, { abortEarly: false, convert: true });
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details.map(detail => detail.message).join('; '),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const alerts = trackingAgent.findAlerts(value);
+  return res.json({
+    alerts,
+    count: alerts.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Run one workflow step. Unknown twins and alerts get 404; steps on resolved alerts get 409.
+function applyAlertAction(
+  req: Request,
+  res: Response,
+  schema: Joi.ObjectSchema,
+  message: string,
+  action: (shipmentId: string, alertId: string, body: any) => Alert | undefined
+): Response {
   const { shipmentId, alertId } = req.params;
-  
-  trackingAgent.resolveAlert(shipmentId, alertId);
-  
+  const { error, value } = schema.validate(req.body || {}, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details.map(detail => detail.message).join('; '),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!trackingAgent.getDigitalTwin(shipmentId)) {
+    return res.status(404).json({
+      error: 'Digital Twin Not Found',
+      message: `No digital twin found for shipment ID: ${shipmentId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const alert = action(shipmentId, alertId, value);
+    if (!alert) {
+      return res.status(404).json({
+        error: 'Alert Not Found',
+        message: `No alert ${alertId} for shipment ID: ${shipmentId}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.info(message, { shipmentId, alertId, by: value.by });
+    return res.json({
+      message,
+      shipmentId,
+      alert: { ...alert, status: alertStatus(alert) },
+      timestamp: new Date().toISOString()
+    });
+  } catch (actionError) {
+    return res.status(409).json({
+      error: 'Invalid Alert Action',
+      message: actionError instanceof Error ? actionError.message : String(actionError),
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+app.patch('/digital-twin/:shipmentId/alert/:alertId/acknowledge', (req: Request, res: Response) =>
+  applyAlertAction(req, res, alertActionSchema, 'Alert acknowledged', (shipmentId, alertId, body) =>
+    trackingAgent.acknowledgeAlert(shipmentId, alertId, body.by, body.note)
+  )
+);
+
+app.patch('/digital-twin/:shipmentId/alert/:alertId/assign', (req: Request, res: Response) =>
+  applyAlertAction(req, res, alertActionSchema.keys({ assignee: Joi.string().required() }), 'Alert assigned',
+    (shipmentId, alertId, body) => trackingAgent.assignAlert(shipmentId, alertId, body.assignee, body.by, body.note)
+  )
+);
+
+app.post('/digital-twin/:shipmentId/alert/:alertId/notes', (req: Request, res: Response) =>
+  applyAlertAction(req, res, alertActionSchema.keys({ note: Joi.string().required() }), 'Alert note added',
+    (shipmentId, alertId, body) => trackingAgent.addAlertNote(shipmentId, alertId, body.by, body.note)
+  )
+);
+
+app.patch('/digital-twin/:shipmentId/alert/:alertId/escalate', (req: Request, res: Response) =>
+  applyAlertAction(
+    req,
+    res,
+    alertActionSchema.keys({ severity: Joi.string().valid('low', 'medium', 'high', 'critical').optional() }),
+    'Alert escalated',
+    (shipmentId, alertId, body) =>
+      trackingAgent.escalateAlert(shipmentId, alertId, body.by, { severity: body.severity, note: body.note })
+  )
+);
+
+app.patch('/digital-twin/:shipmentId/alert/:alertId/resolve', (req: Request, res: Response) =>
+  applyAlertAction(req, res, alertResolveSchema, 'Alert resolved successfully', (shipmentId, alertId, body) =>
+    trackingAgent.resolveAlert(shipmentId, alertId, { by: body.by, note: body.note })
+  )
+);
+
+// Notification delivery log and channel checks
+app.get('/notifications', (req: Request, res: Response) => {
+  const deliveries = notifications?.getDeliveries({
+    shipmentId: req.query.shipmentId as string | undefined,
+    status: req.query.status as DeliveryStatus | undefined
+  }) || [];
+
   res.json({
-    message: 'Alert resolved successfully',
-    shipmentId,
-    alertId,
+    enabled: !!notifications,
+    deliveries,
+    count: deliveries.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/notifications/config', (_req: Request, res: Response) => {
+  res.json({
+    enabled: !!notifications,
+    ...(notifications ? publicNotificationConfig(notifications.getConfig()) : { channels: [], routes: [] }),
     timestamp: new Date().toISOString()
   });
 });
 
+app.post('/notifications/test/:channelId', async (req: Request, res: Response) => {
+  const { channelId } = req.params;
+
+  if (!notifications?.getConfig().channels.some(channel => channel.id === channelId)) {
+    return res.status(404).json({
+      error: 'Channel Not Found',
+      message: `No notification channel configured with ID: ${channelId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    await notifications.sendTest(channelId);
+    return res.json({
+      message: 'Test notification sent',
+      channelId,
+      timestamp: new Date().toISOString()
+    });
+  } catch (sendError) {
+    return res.status(502).json({
+      error: 'Notification Failed',
+      message: sendError instanceof Error ? sendError.message : String(sendError),
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Server-Sent Events stream of TrackingAgent events
+app.get('/events', (req: Request, res: Response): void => {
+  const shipmentIds = typeof req.query.shipmentId === 'string'
+    ? req.query.shipmentId.split(',').map(id => id.trim()).filter(Boolean)
+    : undefined;
+  const lastEventIdRaw = req.get('Last-Event-ID') || req.query.lastEventId;
+  const lastEventId = lastEventIdRaw !== undefined ? String(lastEventIdRaw).trim() : undefined;
+
+  logger.info('Event stream client connected', { shipmentIds, lastEventId });
+  eventStream.subscribe(res, { shipmentIds, lastEventId });
+
+  req.on('close', () => {
+    logger.info('Event stream client disconnected', { shipmentIds });
+  });
+});
+
 // Health check endpoint
 app.get('/health', (_req: Request, res: Response) => {
   const digitalTwinsCount = trackingAgent.getAllDigitalTwins().length;
@@ -211,7 +1530,8 @@ app.get('/health', (_req: Request, res: Response) => {
     version: process.env.npm_package_version || '1.0.0',
     uptime: process.uptime(),
     digitalTwins: digitalTwinsCount,
-    activeAlerts
+    activeAlerts,
+    eventStreamClients: eventStream.getClientCount()
   });
 });
 
@@ -243,74 +1563,124 @@ app.post('/telemetry', async (req: Request, res: Response, next: NextFunction) =
       location: telemetryData.location
     });
 
-    // Emit telemetry event
-    telemetryEmitter.emit('telemetry:received', telemetryData);
-
-    // Check for anomalies and emit specific events
-    if (telemetryData.sensors) {
-      const { temperature, humidity, vibration, shock } = telemetryData.sensors;
-      
-      // Temperature alerts
-      if (temperature !== undefined && (temperature < -20 || temperature > 60)) {
-        telemetryEmitter.emit('telemetry:temperature-alert', {
-          ...telemetryData,
-          alertType: 'temperature',
-          alertValue: temperature,
-          threshold: temperature < -20 ? 'below -20°C' : 'above 60°C'
-        });
-        logger.warn('Temperature alert triggered', {
-          shipmentId: telemetryData.shipmentId,
-          temperature,
-          deviceId: telemetryData.deviceId
-        });
-      }
-
-      // Humidity alerts
-      if (humidity !== undefined && (humidity > 80)) {
-        telemetryEmitter.emit('telemetry:humidity-alert', {
-          ...telemetryData,
-          alertType: 'humidity',
-          alertValue: humidity,
-          threshold: 'above 80%'
-        });
-      }
-
-      // Vibration/shock alerts
-      if (vibration !== undefined && vibration > 5) {
-        telemetryEmitter.emit('telemetry:vibration-alert', {
-          ...telemetryData,
-          alertType: 'vibration',
-          alertValue: vibration,
-          threshold: 'above 5g'
-        });
-      }
+    const rejection = screenTelemetry(telemetryData);
+    if (rejection) {
+      holdBackTelemetry(telemetryData, rejection);
+      return res.status(DEVICE_POLICY === 'quarantine' ? 202 : 403).json({
+        error: DEVICE_POLICY === 'quarantine' ? 'Telemetry Quarantined' : 'Telemetry Rejected',
+        message: rejection === 'unknown-device'
+          ? `Device ${telemetryData.deviceId} is not registered`
+          : `Device ${telemetryData.deviceId} is not bound to shipment ${telemetryData.shipmentId}`,
+        reason: rejection,
+        timestamp: new Date().toISOString()
+      });
+    }
 
-      if (shock !== undefined && shock > 10) {
-        telemetryEmitter.emit('telemetry:shock-alert', {
-          ...telemetryData,
-          alertType: 'shock',
-          alertValue: shock,
-          threshold: 'above 10g'
-        });
-      }
+    // Sensors must be among the device's capabilities; custom channels must be declared
+    // by the device type and within their valid range
+    const readingErrors = [
+      ...deviceRegistry.checkCapabilities(telemetryData),
+      ...deviceRegistry.checkChannels(telemetryData)
+    ];
+    if (readingErrors.length > 0) {
+      const errorResponse: ErrorResponse = {
+        error: 'Validation Error',
+        message: readingErrors.join('; '),
+        timestamp: new Date().toISOString()
+      };
+      return res.status(400).json(errorResponse);
     }
 
-    // Battery alerts
-    if (telemetryData.battery !== undefined && telemetryData.battery < 20) {
-      telemetryEmitter.emit('telemetry:battery-low', {
-        ...telemetryData,
-        alertType: 'battery',
-        alertValue: telemetryData.battery,
-        threshold: 'below 20%'
+    if (!authenticateTelemetry(telemetryData)) {
+      return res.status(401).json({
+        error: 'Signature Verification Failed',
+        message: `Telemetry from device ${telemetryData.deviceId} is ${telemetryData.verification!.status}`,
+        verification: telemetryData.verification,
+        timestamp: new Date().toISOString()
       });
     }
 
-    // Respond with success
-    return res.status(201).json({
-      message: 'Telemetry data processed successfully',
+    // TrackingAgent evaluates the shipment's thresholds
+    const result = trackingAgent.updateTelemetry(telemetryData.shipmentId, telemetryData);
+
+    // A reading already stored is acknowledged but not created again
+    return res.status(result === 'duplicate' ? 200 : 201).json({
+      message: result === 'duplicate'
+        ? 'Telemetry reading was already received'
+        : 'Telemetry data processed successfully',
+      result,
+      duplicate: result === 'duplicate',
       shipmentId: telemetryData.shipmentId,
       deviceId: telemetryData.deviceId,
       timestamp: telemetryData.timestamp,
+      verification: telemetryData.verification,
+      quality: telemetryData.quality,
+      processed: new Date().toISOString()
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// Bulk upload of buffered readings; applied in timestamp order, duplicates skipped
+app.post('/telemetry/batch', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { error, value } = telemetryBatchSchema.validate(req.body, {
+      abortEarly: false,
+      convert: true
+    });
+
+    if (error) {
+      const errorResponse: ErrorResponse = {
+        error: 'Validation Error',
+        message: error.details.map(detail => detail.message).join('; '),
+        timestamp: new Date().toISOString()
+      };
+      return res.status(400).json(errorResponse);
+    }
+
+    // Check the whole batch before anything is quarantined or applied
+    const readings: TelemetryData[] = value;
+    const rejections = readings.map(screenTelemetry);
+    const admitted = readings.filter((_reading, index) => !rejections[index]);
+    const readingErrors = readings.flatMap((reading, index) => rejections[index]
+      ? []
+      : [...deviceRegistry.checkCapabilities(reading), ...deviceRegistry.checkChannels(reading)]
+        .map(message => `[${index}] ${message}`)
+    );
+    if (readingErrors.length > 0) {
+      const errorResponse: ErrorResponse = {
+        error: 'Validation Error',
+        message: readingErrors.join('; '),
+        timestamp: new Date().toISOString()
+      };
+      return res.status(400).json(errorResponse);
+    }
+
+    readings.forEach((reading, index) => {
+      if (rejections[index]) {
+        holdBackTelemetry(reading, rejections[index]!);
+      }
+    });
+
+    const authenticated = admitted.filter(authenticateTelemetry);
+    const counts = {
+      ...trackingAgent.updateTelemetryBatch(authenticated),
+      [DEVICE_POLICY === 'quarantine' ? 'quarantined' : 'rejected']: readings.length - admitted.length,
+      unverified: admitted.length - authenticated.length
+    };
+
+    logger.info('Telemetry batch received', {
+      shipmentIds: Array.from(new Set(readings.map(reading => reading.shipmentId))),
+      received: readings.length,
+      ...counts
+    });
+
+    return res.status(201).json({
+      message: 'Telemetry batch processed successfully',
+      received: readings.length,
+      ...counts,
       processed: new Date().toISOString()
     });
 
@@ -349,48 +1719,6 @@ app.use('*', (req: Request, res: Response) => {
   res.status(404).json(errorResponse);
 });
 
-// Event listeners for telemetry processing
-telemetryEmitter.on('telemetry:received', (data: TelemetryData) => {
-  logger.debug('Processing telemetry data', { shipmentId: data.shipmentId });
-  // Add your telemetry processing logic here
-});
-
-telemetryEmitter.on('telemetry:temperature-alert', (data: any) => {
-  logger.warn('Temperature alert processed', { 
-    shipmentId: data.shipmentId, 
-    temperature: data.alertValue 
-  });
-  // Forward to compliance agent or alert system
-});
-
-telemetryEmitter.on('telemetry:humidity-alert', (data: any) => {
-  logger.warn('Humidity alert processed', { 
-    shipmentId: data.shipmentId, 
-    humidity: data.alertValue 
-  });
-});
-
-telemetryEmitter.on('telemetry:vibration-alert', (data: any) => {
-  logger.warn('Vibration alert processed', { 
-    shipmentId: data.shipmentId, 
-    vibration: data.alertValue 
-  });
-});
-
-telemetryEmitter.on('telemetry:shock-alert', (data: any) => {
-  logger.warn('Shock alert processed', { 
-    shipmentId: data.shipmentId, 
-    shock: data.alertValue 
-  });
-});
-
-telemetryEmitter.on('telemetry:battery-low', (data: any) => {
-  logger.warn('Low battery alert processed', { 
-    shipmentId: data.shipmentId, 
-    battery: data.alertValue 
-  });
-});
-
 // TrackingAgent event listeners
 trackingAgent.on('digital-twin:updated', (data: any) => {
   logger.debug('Digital twin updated', {
@@ -415,11 +1743,143 @@ trackingAgent.on('alert', (data: any) => {
   // This could be a webhook, message queue, etc.
 });
 
+trackingAgent.on('alert:escalated', (data: any) => {
+  logger.warn('Alert escalated', {
+    shipmentId: data.shipmentId,
+    alertId: data.alertId,
+    severity: data.severity,
+    escalationLevel: data.alert.escalationLevel,
+    by: data.by
+  });
+});
+
+notifications?.on('notification', (delivery: any) => {
+  const log = delivery.status === 'failed' ? logger.error.bind(logger) : logger.info.bind(logger);
+  log('Alert notification', {
+    shipmentId: delivery.shipmentId,
+    alertId: delivery.alertId,
+    route: delivery.routeId,
+    channel: delivery.channelId,
+    status: delivery.status,
+    error: delivery.error
+  });
+});
+
 trackingAgent.on('geofence:set', (data: any) => {
   logger.info('Geofence configured', {
     shipmentId: data.shipmentId,
     center: data.geofence.center,
-    radius: data.geofence.radius
+    radius: data.geofence.radius,
+    geometry: data.geofence.geometry?.type,
+    zones: data.geofence.zones?.length || 0
+  });
+});
+
+trackingAgent.on('geofence:entered', (data: any) => {
+  logger.info('Shipment entered geofence', {
+    shipmentId: data.shipmentId,
+    zoneId: data.zoneId || 'boundary'
+  });
+});
+
+trackingAgent.on('geofence:exited', (data: any) => {
+  logger.info('Shipment exited geofence', {
+    shipmentId: data.shipmentId,
+    zoneId: data.zoneId || 'boundary'
+  });
+});
+
+trackingAgent.on('route:set', (data: any) => {
+  logger.info('Planned route configured', {
+    shipmentId: data.shipmentId,
+    waypoints: data.route.waypoints.length,
+    corridorWidth: data.route.corridorWidth
+  });
+});
+
+trackingAgent.on('shipment:status-changed', (data: any) => {
+  logger.info('Shipment status changed', {
+    shipmentId: data.shipmentId,
+    from: data.from,
+    to: data.to,
+    reason: data.transition.reason
+  });
+});
+
+trackingAgent.on('eta:delayed', (data: any) => {
+  logger.warn('Shipment ETA past planned delivery time', {
+    shipmentId: data.shipmentId,
+    estimatedArrival: data.eta.estimatedArrival,
+    plannedEta: data.plannedEta,
+    delayMinutes: Math.round(data.eta.delayMinutes)
+  });
+});
+
+trackingAgent.on('stop:detected', (data: any) => {
+  logger.info('Shipment stop detected', {
+    shipmentId: data.shipmentId,
+    location: data.stop.location,
+    scheduled: data.stop.scheduled,
+    zoneId: data.stop.zoneId
+  });
+});
+
+trackingAgent.on('telemetry:suspect', (data: any) => {
+  logger.warn('Suspect telemetry reading', {
+    shipmentId: data.shipmentId,
+    deviceId: data.deviceId,
+    timestamp: data.timestamp,
+    findings: data.quality.findings.map((finding: any) => `${finding.field}: ${finding.issue}`)
+  });
+});
+
+trackingAgent.on('door:opened', (data: any) => {
+  const log = data.event.authorized ? logger.info.bind(logger) : logger.warn.bind(logger);
+  log('Door opened', {
+    shipmentId: data.shipmentId,
+    deviceId: data.event.deviceId,
+    authorized: data.event.authorized,
+    zoneId: data.event.zoneId
+  });
+});
+
+trackingAgent.on('door:closed', (data: any) => {
+  logger.info('Door closed', {
+    shipmentId: data.shipmentId,
+    deviceId: data.event.deviceId,
+    durationMinutes: Math.round(data.event.durationMinutes)
+  });
+});
+
+trackingAgent.on('device:offline', (data: any) => {
+  logger.warn('Device stopped reporting', {
+    shipmentId: data.shipmentId,
+    deviceId: data.deviceId,
+    lastReadingAt: data.lastReadingAt
+  });
+});
+
+trackingAgent.on('device:online', (data: any) => {
+  logger.info('Device reporting again', {
+    shipmentId: data.shipmentId,
+    deviceId: data.deviceId,
+    gapMinutes: data.gap ? Math.round(data.gap.durationMinutes) : undefined
+  });
+});
+
+trackingAgent.on('thresholds:updated', (data: any) => {
+  logger.info('Thresholds updated', {
+    shipmentId: data.shipmentId,
+    profile: data.profile
+  });
+});
+
+trackingAgent.on('alert:updated', (data: any) => {
+  logger.debug('Open alert updated', {
+    shipmentId: data.shipmentId,
+    alertId: data.alert.id,
+    peakValue: data.alert.peakValue,
+    durationMinutes: data.alert.durationMinutes
   });
 });
 
@@ -427,18 +1887,23 @@ trackingAgent.on('alert:resolved', (data: any) => {
   logger.info('Alert resolved', {
     shipmentId: data.shipmentId,
     alertId: data.alertId,
-    alertType: data.alert.type
+    alertType: data.alert.type,
+    auto: data.auto || false
   });
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  eventStream.close();
+  trackingAgent.close();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  eventStream.close();
+  trackingAgent.close();
   process.exit(0);
 });
 
@@ -451,4 +1916,4 @@ app.listen(PORT, () => {
 });
 
 // Export for testing
-export { app, telemetryEmitter, trackingAgent };
\ No newline at end of file
+export { app, trackingAgent };
\ No newline at end of file
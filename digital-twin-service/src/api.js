@@ -5,6 +5,10 @@ const axios = require('axios');
 const winston = require('winston');
 const dotenv = require('dotenv');
 const Joi = require('joi');
+const { Readable, pipeline } = require('stream');
+const { EXPORT_FORMATS } = require('./exporters');
+const { createCache, Invalidations } = require('./cache');
+const { followTrackingEvents } = require('./trackingEvents');
 
 // Load environment variables
 dotenv.config();
@@ -34,18 +38,17 @@ const PORT = process.env.PORT || 3002;
 // Tracking Agent service configuration
 const TRACKING_AGENT_URL = process.env.TRACKING_AGENT_URL || 'http://localhost:3001';
 
-// In-memory store for digital twin cache
-// TODO: Replace with PostgreSQL for persistent storage and better querying capabilities
+// Cache for digital twins and their telemetry: memory (per instance) or redis (shared
+// by every instance behind a load balancer). Entries are invalidated from the Tracking
+// Agent's event feed, so it does not matter which instance forwarded an update.
+// TODO: Add PostgreSQL for persistent storage and better querying capabilities
 // Example: Use pg library with connection pooling for production
 // const { Pool } = require('pg');
 // const pool = new Pool({ connectionString: process.env.DATABASE_URL });
-let digitalTwinCache = new Map();
-
-// TODO: Replace with Redis for high-performance caching and pub/sub
-// Example: Use redis library for production caching layer
-// const redis = require('redis');
-// const client = redis.createClient({ url: process.env.REDIS_URL });
-let telemetryCache = new Map();
+const CACHE_STORE = process.env.CACHE_STORE || 'memory';
+const CACHE_TTL = parseInt(process.env.CACHE_TTL) || 300;
+const MAX_TELEMETRY_CACHE_SIZE = parseInt(process.env.MAX_TELEMETRY_CACHE_SIZE) || 1000;
+const cache = createCache({ store: CACHE_STORE, redisUrl: process.env.REDIS_URL, logger });
 
 // Middleware
 app.use(helmet());
@@ -89,15 +92,30 @@ const telemetrySchema = Joi.object({
     humidity: Joi.number().min(0).max(100).optional(),
     vibration: Joi.number().min(0).optional(),
     shock: Joi.number().min(0).optional(),
-    tilt: Joi.number().min(0).max(360).optional()
+    tilt: Joi.number().min(0).max(360).optional(),
+    door: Joi.string().valid('open', 'closed').optional(),
+    light: Joi.number().min(0).optional(),
+    seal: Joi.string().valid('intact', 'broken').optional()
   }).optional(),
+  // Custom sensor channels; Tracking Agent checks them against the device type's declarations
+  channels: Joi.object().pattern(/^[a-z][a-z0-9_]*$/, Joi.number()).optional(),
   battery: Joi.number().min(0).max(100).optional(),
   signal: Joi.object({
     strength: Joi.number().min(-120).max(0).optional(),
     network: Joi.string().optional()
+  }).optional(),
+  position: Joi.string().optional(),
+  // Device signature over the canonical payload; verified by Tracking Agent against the device's key
+  signature: Joi.object({
+    algorithm: Joi.string().valid('HMAC-SHA256', 'Ed25519').required(),
+    value: Joi.string().base64().required(),
+    keyId: Joi.string().optional()
   }).optional()
 });
 
+// Buffered readings uploaded in one request
+const telemetryBatchSchema = Joi.array().items(telemetrySchema).min(1).max(1000);
+
 // Helper function to call Tracking Agent API
 async function callTrackingAgent(endpoint, method = 'GET', data = null) {
   try {
@@ -134,49 +152,134 @@ async function callTrackingAgent(endpoint, method = 'GET', data = null) {
   }
 }
 
-// Cache management functions
-function getCachedDigitalTwin(id) {
-  // TODO: Replace with Redis GET operation
-  // return await client.get(`digital-twin:${id}`);
-  return digitalTwinCache.get(id);
+// Open a streamed GET on the Tracking Agent. Error bodies are short JSON and are read in full.
+async function streamTrackingAgent(endpoint) {
+  try {
+    const response = await axios.get(`${TRACKING_AGENT_URL}${endpoint}`, {
+      responseType: 'stream',
+      timeout: 5000
+    });
+    return { success: true, stream: response.data, headers: response.headers };
+  } catch (error) {
+    let details;
+    if (error.response?.data) {
+      let body = '';
+      for await (const chunk of error.response.data) body += chunk;
+      try {
+        details = JSON.parse(body);
+      } catch (parseError) {
+        details = undefined;
+      }
+    }
+
+    logger.error('Tracking Agent API call failed', {
+      endpoint,
+      method: 'GET',
+      error: error.message,
+      status: error.response?.status,
+      data: details
+    });
+
+    return {
+      success: false,
+      error: error.message,
+      status: error.response?.status || 500,
+      details
+    };
+  }
 }
 
-function setCachedDigitalTwin(id, twin, ttl = 300) {
-  // TODO: Replace with Redis SETEX operation for TTL support
-  // await client.setex(`digital-twin:${id}`, ttl, JSON.stringify(twin));
-  digitalTwinCache.set(id, {
-    ...twin,
-    cachedAt: new Date(),
-    expiresAt: new Date(Date.now() + ttl * 1000)
-  });
+// Parse newline-delimited JSON as it arrives
+async function* readNdjson(stream) {
+  let buffer = '';
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield JSON.parse(line);
+    }
+  }
+  if (buffer.trim()) yield JSON.parse(buffer);
 }
 
-function getCachedTelemetry(id, limit = 100) {
-  // TODO: Replace with Redis LRANGE operation for list operations
-  // return await client.lrange(`telemetry:${id}`, 0, limit - 1);
-  const cached = telemetryCache.get(id) || [];
-  return cached.slice(-limit);
+// Cache management functions. A failing cache store is treated as a miss, and the
+// cache is bypassed while the Tracking Agent event feed is down, since nothing would
+// invalidate what it serves.
+function readingId(telemetry) {
+  return `${new Date(telemetry.timestamp).getTime()}:${telemetry.deviceId}`;
 }
 
-function setCachedTelemetry(id, telemetry, maxSize = 1000) {
-  // TODO: Replace with Redis LPUSH + LTRIM operations
-  // await client.lpush(`telemetry:${id}`, JSON.stringify(telemetry));
-  // await client.ltrim(`telemetry:${id}`, 0, maxSize - 1);
-  const cached = telemetryCache.get(id) || [];
-  cached.push(telemetry);
-  if (cached.length > maxSize) {
-    cached.shift();
+// A Tracking Agent response fetched before its shipment was invalidated is not cached
+// after it: handlers take invalidations.version() before fetching
+const invalidations = new Invalidations();
+
+async function cacheOperation(operation, fallback, action) {
+  try {
+    return await action();
+  } catch (error) {
+    logger.warn('Cache operation failed', { operation, store: CACHE_STORE, error: error.message });
+    return fallback;
   }
-  telemetryCache.set(id, cached);
 }
 
+async function getCachedDigitalTwin(id) {
+  if (!trackingEvents.isConnected()) return undefined;
+  return cacheOperation('get digital twin', undefined, () => cache.get(`digital-twin:${id}`));
+}
+
+// Telemetry history is cached on its own, not inside the twin
+async function setCachedDigitalTwin(id, twin, version = invalidations.version()) {
+  if (invalidations.since(id, version)) return;
+  const { telemetryHistory: _history, ...cached } = twin;
+  await cacheOperation('set digital twin', undefined, () => cache.set(`digital-twin:${id}`, cached, CACHE_TTL));
+}
+
+async function hasCachedTelemetry(id) {
+  if (!trackingEvents.isConnected()) return false;
+  return cacheOperation('check telemetry', false, () => cache.hasList(`telemetry:${id}`));
+}
+
+async function getCachedTelemetry(id, limit = 100) {
+  if (!trackingEvents.isConnected()) return [];
+  return cacheOperation('get telemetry', [], () => cache.getEntries(`telemetry:${id}`, limit));
+}
+
+// Readings already cached for the same device and timestamp are skipped
+async function setCachedTelemetry(id, readings, version = invalidations.version()) {
+  if (invalidations.since(id, version)) return;
+  await cacheOperation('set telemetry', undefined, () => Promise.all(readings.map(telemetry =>
+    cache.addEntry(`telemetry:${id}`, readingId(telemetry), new Date(telemetry.timestamp).getTime(), telemetry, MAX_TELEMETRY_CACHE_SIZE, CACHE_TTL)
+  )));
+}
+
+// Follow the Tracking Agent's updates: drop the changed twin, and add new readings to
+// histories that are already cached (a partial history would be served as complete)
+const trackingEvents = followTrackingEvents({
+  url: TRACKING_AGENT_URL,
+  logger,
+  onEvent: async (type, data) => {
+    if (!data?.shipmentId) return;
+
+    const id = data.shipmentId;
+    invalidations.invalidate(id);
+    await cacheOperation('invalidate digital twin', undefined, () => cache.delete(`digital-twin:${id}`));
+    if (type === 'digital-twin:updated' && data.telemetry && await hasCachedTelemetry(id)) {
+      await setCachedTelemetry(id, [data.telemetry]);
+    }
+  },
+  // Events may have been missed, so anything cached may be stale. A shared store only
+  // loses this service's keys; other instances refill them from the Tracking Agent.
+  onReset: async () => {
+    invalidations.invalidateAll();
+    await cacheOperation('clear', undefined, () => cache.clear());
+  }
+});
+
 // Health check endpoint
-app.get('/health', (req, res) => {
-  const cacheStats = {
-    digitalTwins: digitalTwinCache.size,
-    telemetryEntries: Array.from(telemetryCache.values())
-      .reduce((total, arr) => total + arr.length, 0)
-  };
+app.get('/health', async (req, res) => {
+  const cacheStats = await cacheOperation('stats', { store: CACHE_STORE, error: 'unavailable' }, () => cache.stats());
   
   res.status(200).json({
     status: 'healthy',
@@ -185,6 +288,10 @@ app.get('/health', (req, res) => {
     version: process.env.npm_package_version || '1.0.0',
     uptime: process.uptime(),
     cache: cacheStats,
+    trackingEvents: {
+      connected: trackingEvents.isConnected(),
+      lastEventId: trackingEvents.getLastEventId()
+    },
     trackingAgentUrl: TRACKING_AGENT_URL
   });
 });
@@ -198,23 +305,20 @@ app.get('/digitalTwin/:id', async (req, res, next) => {
     
     logger.info('Fetching digital twin', { id, includeHistory, historyLimit });
     
-    // Check cache first
-    const cached = getCachedDigitalTwin(id);
-    if (cached && cached.expiresAt > new Date()) {
+    // Check cache first; with history only if that is cached too
+    const cached = await getCachedDigitalTwin(id);
+    if (cached && (!includeHistory || await hasCachedTelemetry(id))) {
       logger.debug('Serving digital twin from cache', { id });
       
-      const response = { ...cached };
-      delete response.cachedAt;
-      delete response.expiresAt;
-      
       if (includeHistory) {
-        response.telemetryHistory = getCachedTelemetry(id, historyLimit);
+        cached.telemetryHistory = await getCachedTelemetry(id, historyLimit);
       }
       
-      return res.json(response);
+      return res.json(cached);
     }
     
     // Fetch from Tracking Agent
+    const version = invalidations.version();
     const result = await callTrackingAgent(`/digital-twin/${id}`);
     
     if (!result.success) {
@@ -237,14 +341,12 @@ app.get('/digitalTwin/:id', async (req, res, next) => {
     const twin = result.data;
     
     // Cache the result
-    setCachedDigitalTwin(id, twin);
+    await setCachedDigitalTwin(id, twin, version);
     
     // Add telemetry history if requested
     if (includeHistory && twin.telemetryHistory) {
       // Cache telemetry history
-      twin.telemetryHistory.forEach(telemetry => {
-        setCachedTelemetry(id, telemetry);
-      });
+      await setCachedTelemetry(id, twin.telemetryHistory, version);
       
       // Limit history in response
       if (twin.telemetryHistory.length > historyLimit) {
@@ -316,11 +418,14 @@ app.post('/digitalTwin/:id/telemetry', async (req, res, next) => {
       });
     }
     
-    // Cache the telemetry data
-    setCachedTelemetry(id, telemetryData);
-    
-    // Invalidate digital twin cache to ensure fresh data on next request
-    digitalTwinCache.delete(id);
+    // Quarantined by Tracking Agent's device policy; not applied to the twin
+    if (result.data.error) {
+      return res.status(202).json({
+        ...result.data,
+        shipmentId: id,
+        deviceId: telemetryData.deviceId
+      });
+    }
     
     logger.info('Telemetry forwarded successfully', {
       shipmentId: id,
@@ -343,6 +448,70 @@ app.post('/digitalTwin/:id/telemetry', async (req, res, next) => {
   }
 });
 
+// Forward a batch of buffered telemetry to Tracking Agent
+app.post('/digitalTwin/:id/telemetry/batch', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const { error, value } = telemetryBatchSchema.validate(req.body, {
+      abortEarly: false,
+      convert: true
+    });
+    
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details.map(detail => detail.message).join('; '),
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const mismatched = value.find(telemetry => telemetry.shipmentId !== id);
+    if (mismatched) {
+      return res.status(400).json({
+        error: 'ID Mismatch',
+        message: `Shipment ID in URL (${id}) does not match shipment ID in payload (${mismatched.shipmentId})`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Tracking Agent applies the readings in timestamp order
+    const readings = [...value].sort((a, b) => a.timestamp - b.timestamp);
+    
+    logger.info('Forwarding telemetry batch to Tracking Agent', {
+      shipmentId: id,
+      count: readings.length,
+      from: readings[0].timestamp,
+      to: readings[readings.length - 1].timestamp
+    });
+    
+    const result = await callTrackingAgent('/telemetry/batch', 'POST', readings);
+    
+    if (!result.success) {
+      return res.status(result.status || 500).json({
+        error: 'Tracking Agent Error',
+        message: result.error,
+        timestamp: new Date().toISOString(),
+        details: result.details
+      });
+    }
+    
+    res.status(201).json({
+      message: 'Telemetry batch processed successfully',
+      shipmentId: id,
+      received: readings.length,
+      accepted: result.data.accepted,
+      late: result.data.late,
+      duplicate: result.data.duplicate,
+      processed: new Date().toISOString(),
+      trackingAgentResponse: result.data
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get all Digital Twins (with pagination)
 app.get('/digitalTwins', async (req, res, next) => {
   try {
@@ -353,6 +522,7 @@ app.get('/digitalTwins', async (req, res, next) => {
     logger.info('Fetching all digital twins', { page, limit, includeAlerts });
     
     // Fetch from Tracking Agent
+    const version = invalidations.version();
     const result = await callTrackingAgent('/digital-twins');
     
     if (!result.success) {
@@ -379,9 +549,7 @@ app.get('/digitalTwins', async (req, res, next) => {
     const paginatedTwins = twins.slice(startIndex, endIndex);
     
     // Cache results
-    twins.forEach(twin => {
-      setCachedDigitalTwin(twin.shipmentId, twin);
-    });
+    await Promise.all(twins.map(twin => setCachedDigitalTwin(twin.shipmentId, twin, version)));
     
     res.json({
       twins: paginatedTwins,
@@ -406,11 +574,36 @@ app.get('/digitalTwin/:id/telemetry', async (req, res, next) => {
   try {
     const { id } = req.params;
     const limit = parseInt(req.query.limit) || 100;
+    const { from, to, fields, interval } = req.query;
+    
+    logger.info('Fetching telemetry history', { id, limit, from, to, fields, interval });
     
-    logger.info('Fetching telemetry history', { id, limit });
+    // Time ranges, field selection and downsampling are answered by Tracking Agent
+    if (from || to || fields || interval) {
+      const query = new URLSearchParams({ limit: String(limit) });
+      Object.entries({ from, to, fields, interval }).forEach(([key, value]) => {
+        if (value) query.set(key, value);
+      });
+      
+      const result = await callTrackingAgent(`/digital-twin/${id}/telemetry?${query}`);
+      
+      if (!result.success) {
+        return res.status(result.status || 500).json({
+          error: result.details?.error || 'Tracking Agent Error',
+          message: result.details?.message || result.error,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      return res.json({
+        ...result.data,
+        source: 'tracking-agent',
+        timestamp: new Date().toISOString()
+      });
+    }
     
     // Try cache first
-    const cached = getCachedTelemetry(id, limit);
+    const cached = await getCachedTelemetry(id, limit);
     if (cached.length > 0) {
       logger.debug('Serving telemetry from cache', { id, count: cached.length });
       return res.json({
@@ -423,6 +616,7 @@ app.get('/digitalTwin/:id/telemetry', async (req, res, next) => {
     }
     
     // Fetch digital twin to get history
+    const version = invalidations.version();
     const result = await callTrackingAgent(`/digital-twin/${id}`);
     
     if (!result.success) {
@@ -445,9 +639,7 @@ app.get('/digitalTwin/:id/telemetry', async (req, res, next) => {
     const limitedHistory = history.slice(-limit);
     
     // Cache the history
-    history.forEach(telemetry => {
-      setCachedTelemetry(id, telemetry);
-    });
+    await setCachedTelemetry(id, history, version);
     
     res.json({
       shipmentId: id,
@@ -462,8 +654,69 @@ app.get('/digitalTwin/:id/telemetry', async (req, res, next) => {
   }
 });
 
+// Export a shipment's trip log as CSV, GeoJSON or GPX
+app.get('/digitalTwin/:id/export/:format', async (req, res, next) => {
+  try {
+    const { id, format } = req.params;
+    // Own keys only, so names such as "constructor" are rejected rather than looked up
+    const exporter = Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)
+      ? EXPORT_FORMATS[format]
+      : undefined;
+    
+    if (!exporter) {
+      return res.status(400).json({
+        error: 'Unsupported Format',
+        message: `Export format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const query = new URLSearchParams({ format: 'ndjson' });
+    ['from', 'to'].forEach(key => {
+      if (req.query[key]) query.set(key, req.query[key]);
+    });
+    
+    logger.info('Exporting telemetry', { id, format, from: req.query.from, to: req.query.to });
+    
+    const result = await streamTrackingAgent(`/digital-twin/${id}/telemetry?${query}`);
+    
+    if (!result.success) {
+      return res.status(result.status || 500).json({
+        error: result.details?.error || 'Tracking Agent Error',
+        message: result.details?.message || result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    res.setHeader('Content-Type', exporter.contentType);
+    const filename = `${id.replace(/[^\w.-]/g, '_')}-telemetry.${exporter.extension}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    
+    // Readings are passed from the Tracking Agent's stream straight to the exporter
+    const { headers } = result;
+    const summary = {
+      count: parseInt(headers['x-telemetry-count']) || 0,
+      start: headers['x-telemetry-start'],
+      end: headers['x-telemetry-end'],
+      channels: (headers['x-telemetry-channels'] || '').split(',').filter(Boolean)
+    };
+    
+    // Headers are already sent once this starts, so a failure part-way can only cut
+    // the response short; pipeline destroys it (and the upstream stream) on error
+    pipeline(Readable.from(exporter.write(id, summary, readNdjson(result.stream))), res, error => {
+      result.stream.destroy(); // not yet read from if the client left early
+      if (error) {
+        logger.error('Telemetry export failed mid-stream', { id, format, error: error.message });
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Global error handler
-app.use((error, req, res, next) => {
+app.use((error, req, res, _next) => {
   logger.error('Unhandled error', {
     error: error.message,
     stack: error.stack,
@@ -494,13 +747,14 @@ process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
   // TODO: Close database connections
   // await pool.end();
-  // await client.quit();
-  process.exit(0);
+  trackingEvents.close();
+  cache.close().finally(() => process.exit(0));
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
-  process.exit(0);
+  trackingEvents.close();
+  cache.close().finally(() => process.exit(0));
 });
 
 // Start server
@@ -508,7 +762,8 @@ app.listen(PORT, () => {
   logger.info(`Digital Twin Service started on port ${PORT}`, {
     environment: process.env.NODE_ENV || 'development',
     version: process.env.npm_package_version || '1.0.0',
-    trackingAgentUrl: TRACKING_AGENT_URL
+    trackingAgentUrl: TRACKING_AGENT_URL,
+    cacheStore: CACHE_STORE
   });
 });
 
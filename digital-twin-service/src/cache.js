@@ -0,0 +1,266 @@
+// Cache stores shared by the request handlers. Both keep plain values and
+// time-ordered lists of entries (telemetry readings) de-duplicated by id, each with
+// an optional TTL expired by the store itself. Values go through JSON in both, so a
+// handler gets the same shapes whichever store is configured.
+
+const { createClient, defineScript } = require('redis');
+
+class MemoryCache {
+  constructor({ sweepIntervalMs = 60000 } = {}) {
+    this.values = new Map();
+    this.lists = new Map();
+
+    // Drop expired values even if nobody asks for them again
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  sweep() {
+    const now = Date.now();
+    [this.values, this.lists].forEach(store => store.forEach((entry, key) => {
+      if (entry.expiresAt !== undefined && entry.expiresAt <= now) {
+        store.delete(key);
+      }
+    }));
+  }
+
+  // The live entry under key, dropping it if it has expired
+  live(store, key) {
+    const entry = store.get(key);
+    if (entry && entry.expiresAt !== undefined && entry.expiresAt <= Date.now()) {
+      store.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this.live(this.values, key);
+    return entry ? JSON.parse(entry.json) : undefined;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.values.set(key, {
+      json: JSON.stringify(value),
+      expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : undefined
+    });
+  }
+
+  async delete(...keys) {
+    keys.forEach(key => {
+      this.values.delete(key);
+      this.lists.delete(key);
+    });
+  }
+
+  async hasList(key) {
+    return !!this.live(this.lists, key);
+  }
+
+  // Insert an entry by score, keeping the newest maxSize; false if the id is already
+  // there. The TTL starts when the list is created and is not extended by later entries.
+  async addEntry(key, id, score, value, maxSize, ttlSeconds) {
+    const list = this.live(this.lists, key) || {
+      entries: [],
+      expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : undefined
+    };
+    const { entries } = list;
+    if (entries.some(entry => entry.id === id)) {
+      return false;
+    }
+
+    // Late entries are inserted, not appended
+    let index = entries.length;
+    while (index > 0 && entries[index - 1].score > score) {
+      index--;
+    }
+    entries.splice(index, 0, { id, score, json: JSON.stringify(value) });
+    if (entries.length > maxSize) {
+      entries.splice(0, entries.length - maxSize);
+    }
+    this.lists.set(key, list);
+    return true;
+  }
+
+  // The last limit entries, oldest first
+  async getEntries(key, limit) {
+    const list = this.live(this.lists, key);
+    return list ? list.entries.slice(-limit).map(entry => JSON.parse(entry.json)) : [];
+  }
+
+  async clear() {
+    this.values.clear();
+    this.lists.clear();
+  }
+
+  async stats() {
+    this.sweep();
+    return {
+      store: 'memory',
+      values: this.values.size,
+      lists: this.lists.size,
+      listEntries: Array.from(this.lists.values()).reduce((total, list) => total + list.entries.length, 0)
+    };
+  }
+
+  async close() {
+    clearInterval(this.sweeper);
+  }
+}
+
+// Adds one entry to a list (a sorted set of ids plus a hash of id -> entry) and trims
+// it, as a single atomic step, so instances sharing the server never see the sorted
+// set and the hash disagree. The TTL is only set on a new list. Returns 1 if the entry
+// was added, 0 for a known id.
+const addEntryScript = defineScript({
+  NUMBER_OF_KEYS: 2,
+  SCRIPT: `
+    local added = redis.call('ZADD', KEYS[1], 'NX', ARGV[2], ARGV[1])
+    if added == 1 then
+      redis.call('HSET', KEYS[2], ARGV[1], ARGV[3])
+      local evicted = redis.call('ZRANGE', KEYS[1], 0, -tonumber(ARGV[4]) - 1)
+      if #evicted > 0 then
+        redis.call('ZREM', KEYS[1], unpack(evicted))
+        redis.call('HDEL', KEYS[2], unpack(evicted))
+      end
+      if tonumber(ARGV[5]) > 0 and redis.call('TTL', KEYS[1]) == -1 then
+        redis.call('EXPIRE', KEYS[1], ARGV[5])
+        redis.call('EXPIRE', KEYS[2], ARGV[5])
+      end
+    end
+    return added
+  `,
+  transformArguments(ids, entries, id, score, json, maxSize, ttlSeconds) {
+    return [ids, entries, id, String(score), json, String(maxSize), String(ttlSeconds || 0)];
+  },
+  transformReply(reply) {
+    return reply === 1;
+  }
+});
+
+// Values are plain keys with EX; lists are a sorted set of ids scored by time plus a
+// hash of id -> entry, so several service instances can share one cache. Works with
+// any server that speaks the Redis protocol (Redis, Valkey, KeyDB, Dragonfly).
+class RedisCache {
+  constructor({ url, keyPrefix = 'digital-twin-service:', logger }) {
+    this.host = new URL(url).host;
+    this.keyPrefix = keyPrefix;
+    this.logger = logger;
+    this.outageLogged = false; // warn once per outage, not on every retry
+
+    // Commands fail at once while the server is unreachable instead of queueing, so
+    // they are treated as misses. The client keeps reconnecting (and authenticating)
+    // in the background.
+    this.client = createClient({ url, disableOfflineQueue: true, scripts: { addEntry: addEntryScript } });
+    this.client.on('error', error => {
+      if (!this.outageLogged) {
+        this.logger?.warn('Cache store unavailable; retrying', { host: this.host, error: error.message });
+        this.outageLogged = true;
+      }
+    });
+    this.client.on('ready', () => {
+      this.outageLogged = false;
+      this.logger?.info('Connected to cache store', { host: this.host });
+    });
+    this.client.connect().catch(() => {}); // failures are reported through 'error'
+  }
+
+  key(key) {
+    return `${this.keyPrefix}${key}`;
+  }
+
+  async get(key) {
+    const json = await this.client.get(this.key(key));
+    return json === null ? undefined : JSON.parse(json);
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.set(this.key(key), JSON.stringify(value), ttlSeconds ? { EX: ttlSeconds } : undefined);
+  }
+
+  async delete(...keys) {
+    await this.client.del(keys.flatMap(key => [this.key(key), this.key(`${key}:entries`)]));
+  }
+
+  async hasList(key) {
+    return (await this.client.exists(this.key(key))) === 1;
+  }
+
+  async addEntry(key, id, score, value, maxSize, ttlSeconds) {
+    return this.client.addEntry(this.key(key), this.key(`${key}:entries`), id, score, JSON.stringify(value), maxSize, ttlSeconds);
+  }
+
+  async getEntries(key, limit) {
+    const ids = await this.client.zRange(this.key(key), -limit, -1);
+    if (ids.length === 0) {
+      return [];
+    }
+    const values = await this.client.hmGet(this.key(`${key}:entries`), ids);
+    // An entry evicted between the two reads is skipped
+    return values.filter(json => json !== null).map(json => JSON.parse(json));
+  }
+
+  // Only this service's keys, so the server can be shared
+  async clear() {
+    for await (const key of this.client.scanIterator({ MATCH: `${this.keyPrefix}*`, COUNT: 500 })) {
+      await this.client.del(key);
+    }
+  }
+
+  async stats() {
+    return {
+      store: 'redis',
+      host: this.host,
+      connected: this.client.isReady
+    };
+  }
+
+  async close() {
+    if (this.client.isReady) {
+      await this.client.quit();
+    } else if (this.client.isOpen) {
+      await this.client.disconnect();
+    }
+  }
+}
+
+// Numbers invalidations so a value fetched before one can be recognised afterwards:
+// take version() before fetching, and skip the write if since(id, version).
+// invalidateAll() counts against every id.
+class Invalidations {
+  constructor() {
+    this.sequence = 0;
+    this.resetAt = 0;
+    this.invalidatedAt = new Map(); // id -> number of its last invalidation
+  }
+
+  version() {
+    return this.sequence;
+  }
+
+  invalidate(id) {
+    this.invalidatedAt.set(id, ++this.sequence);
+  }
+
+  invalidateAll() {
+    this.resetAt = ++this.sequence;
+    this.invalidatedAt.clear();
+  }
+
+  since(id, version) {
+    return Math.max(this.invalidatedAt.get(id) || 0, this.resetAt) > version;
+  }
+}
+
+function createCache({ store = 'memory', redisUrl, logger } = {}) {
+  switch (store) {
+    case 'memory':
+      return new MemoryCache();
+    case 'redis':
+      return new RedisCache({ url: redisUrl || 'redis://localhost:6379', logger });
+    default:
+      throw new Error(`Unknown cache store: ${store} (expected memory or redis)`);
+  }
+}
+
+module.exports = { MemoryCache, RedisCache, Invalidations, createCache };
@@ -0,0 +1,85 @@
+const { MemoryCache, Invalidations } = require('./cache');
+
+describe('MemoryCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new MemoryCache();
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await cache.close();
+  });
+
+  it('returns copies of values until they expire', async () => {
+    jest.useFakeTimers({ now: Date.UTC(2024, 0, 1) });
+    const twin = { shipmentId: 'SHIP-1', status: 'in_transit' };
+    await cache.set('digital-twin:SHIP-1', twin, 60);
+    twin.status = 'delivered';
+
+    expect(await cache.get('digital-twin:SHIP-1')).toEqual({ shipmentId: 'SHIP-1', status: 'in_transit' });
+    jest.setSystemTime(Date.UTC(2024, 0, 1, 0, 1));
+    expect(await cache.get('digital-twin:SHIP-1')).toBeUndefined();
+  });
+
+  it('keeps the newest entries in score order without duplicates', async () => {
+    const add = (id, score) => cache.addEntry('telemetry:SHIP-1', id, score, { id }, 3, 60);
+
+    expect(await add('a', 10)).toBe(true);
+    await add('c', 30);
+    await add('b', 20);
+    expect(await add('a', 10)).toBe(false);
+    await add('d', 40);
+
+    expect(await cache.hasList('telemetry:SHIP-1')).toBe(true);
+    expect(await cache.getEntries('telemetry:SHIP-1', 10)).toEqual([{ id: 'b' }, { id: 'c' }, { id: 'd' }]);
+    expect(await cache.getEntries('telemetry:SHIP-1', 2)).toEqual([{ id: 'c' }, { id: 'd' }]);
+  });
+
+  it('expires a list from when it was created, not from its last entry', async () => {
+    jest.useFakeTimers({ now: Date.UTC(2024, 0, 1) });
+    await cache.addEntry('telemetry:SHIP-1', 'a', 1, {}, 10, 60);
+    jest.setSystemTime(Date.UTC(2024, 0, 1, 0, 0, 30));
+    await cache.addEntry('telemetry:SHIP-1', 'b', 2, {}, 10, 60);
+    jest.setSystemTime(Date.UTC(2024, 0, 1, 0, 1));
+
+    expect(await cache.hasList('telemetry:SHIP-1')).toBe(false);
+    expect(await cache.getEntries('telemetry:SHIP-1', 10)).toEqual([]);
+  });
+
+  it('deletes values and lists by key and clears everything', async () => {
+    await cache.set('digital-twin:SHIP-1', {});
+    await cache.set('digital-twin:SHIP-2', {});
+    await cache.addEntry('telemetry:SHIP-1', 'a', 1, {}, 10);
+
+    await cache.delete('digital-twin:SHIP-1', 'telemetry:SHIP-1');
+    expect(await cache.stats()).toEqual({ store: 'memory', values: 1, lists: 0, listEntries: 0 });
+
+    await cache.clear();
+    expect(await cache.get('digital-twin:SHIP-2')).toBeUndefined();
+  });
+});
+
+describe('Invalidations', () => {
+  it('reports ids invalidated after a version was taken', () => {
+    const invalidations = new Invalidations();
+    const before = invalidations.version();
+    invalidations.invalidate('SHIP-1');
+
+    expect(invalidations.since('SHIP-1', before)).toBe(true);
+    expect(invalidations.since('SHIP-2', before)).toBe(false);
+    expect(invalidations.since('SHIP-1', invalidations.version())).toBe(false);
+  });
+
+  it('counts a reset against every id', () => {
+    const invalidations = new Invalidations();
+    invalidations.invalidate('SHIP-1');
+    const before = invalidations.version();
+    invalidations.invalidateAll();
+
+    expect(invalidations.since('SHIP-1', before)).toBe(true);
+    expect(invalidations.since('SHIP-2', before)).toBe(true);
+    expect(invalidations.since('SHIP-2', invalidations.version())).toBe(false);
+  });
+});
@@ -0,0 +1,119 @@
+// Trip log exporters. Each format is an async generator that reads the readings once,
+// in order, and yields the document in small chunks, so a response can be streamed from
+// the Tracking Agent without holding the history in memory. summary gives what a format
+// needs before the first reading: { count, start, end, channels }.
+
+const CSV_COLUMNS = [
+  ['timestamp', t => t.timestamp],
+  ['deviceId', t => t.deviceId],
+  ['latitude', t => t.location?.latitude],
+  ['longitude', t => t.location?.longitude],
+  ['accuracy', t => t.location?.accuracy],
+  ['temperature', t => t.sensors?.temperature],
+  ['humidity', t => t.sensors?.humidity],
+  ['vibration', t => t.sensors?.vibration],
+  ['shock', t => t.sensors?.shock],
+  ['tilt', t => t.sensors?.tilt],
+  ['door', t => t.sensors?.door],
+  ['light', t => t.sensors?.light],
+  ['seal', t => t.sensors?.seal],
+  ['battery', t => t.battery],
+  ['signalStrength', t => t.signal?.strength],
+  ['network', t => t.signal?.network],
+  ['routeDeviation', t => t.routeDeviation]
+];
+
+function csvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One column per custom sensor channel reported anywhere in the trip
+async function* toCsv(shipmentId, summary, readings) {
+  const columns = [
+    ...CSV_COLUMNS,
+    ...summary.channels.map(name => [name, t => t.channels?.[name]])
+  ];
+
+  yield ['shipmentId', ...columns.map(([name]) => name)].join(',') + '\n';
+  for await (const telemetry of readings) {
+    yield [shipmentId, ...columns.map(([, get]) => get(telemetry))].map(csvValue).join(',') + '\n';
+  }
+}
+
+// Sensor values attached to each point, omitting fields the device did not report
+function sensorProperties(telemetry) {
+  const properties = {
+    timestamp: telemetry.timestamp,
+    deviceId: telemetry.deviceId,
+    ...telemetry.sensors,
+    ...telemetry.channels,
+    battery: telemetry.battery,
+    signalStrength: telemetry.signal?.strength,
+    routeDeviation: telemetry.routeDeviation
+  };
+  Object.keys(properties).forEach(key => properties[key] === undefined && delete properties[key]);
+  return properties;
+}
+
+// FeatureCollection with one Point per reading followed by the track as a LineString.
+// Only the track's coordinates are kept until the end.
+async function* toGeoJson(shipmentId, summary, readings) {
+  yield `{"type":"FeatureCollection","properties":${JSON.stringify({
+    shipmentId,
+    start: summary.start,
+    end: summary.end,
+    pointCount: summary.count
+  })},"features":[`;
+
+  const coordinates = [];
+  for await (const telemetry of readings) {
+    const { longitude, latitude } = telemetry.location;
+    coordinates.push(`[${longitude},${latitude}]`);
+    yield JSON.stringify({
+      type: 'Feature',
+      properties: sensorProperties(telemetry),
+      geometry: { type: 'Point', coordinates: [longitude, latitude] }
+    }) + ',';
+  }
+
+  yield '{"type":"Feature","properties":{"shipmentId":' + JSON.stringify(shipmentId) + '},' +
+    `"geometry":{"type":"LineString","coordinates":[${coordinates.join(',')}]}}]}\n`;
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// GPX 1.1 track; sensor readings go into each point's extensions
+async function* toGpx(shipmentId, summary, readings) {
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<gpx version="1.1" creator="smart-freight-digital-twin-service" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+    `  <trk>\n    <name>${xmlEscape(shipmentId)}</name>\n    <trkseg>\n`;
+
+  for await (const telemetry of readings) {
+    const { timestamp, deviceId, ...sensors } = sensorProperties(telemetry);
+    const extensions = Object.entries({ deviceId, ...sensors })
+      .map(([key, value]) => `<${key}>${xmlEscape(value)}</${key}>`)
+      .join('');
+
+    yield `      <trkpt lat="${telemetry.location.latitude}" lon="${telemetry.location.longitude}">` +
+      `<time>${xmlEscape(new Date(timestamp).toISOString())}</time>` +
+      `<extensions>${extensions}</extensions></trkpt>\n`;
+  }
+
+  yield '    </trkseg>\n  </trk>\n</gpx>\n';
+}
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', write: toCsv },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson', write: toGeoJson },
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx', write: toGpx }
+};
+
+module.exports = { EXPORT_FORMATS };
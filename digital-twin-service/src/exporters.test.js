@@ -0,0 +1,99 @@
+const { EXPORT_FORMATS } = require('./exporters');
+
+const READINGS = [
+  {
+    timestamp: '2024-01-01T00:00:00.000Z',
+    deviceId: 'DEV-1',
+    location: { latitude: 52.37, longitude: 4.89 },
+    sensors: { temperature: 4.5, door: 'closed' },
+    channels: { co2: 410 },
+    battery: 90
+  },
+  {
+    timestamp: '2024-01-01T00:10:00.000Z',
+    deviceId: 'DEV-1',
+    location: { latitude: 52.38, longitude: 4.9 },
+    sensors: { temperature: 5 },
+    battery: 89,
+    signal: { strength: -70, network: '4G, roaming' }
+  }
+];
+
+const SUMMARY = {
+  count: READINGS.length,
+  start: READINGS[0].timestamp,
+  end: READINGS[1].timestamp,
+  channels: ['co2']
+};
+
+async function* stream(readings) {
+  for (const reading of readings) {
+    yield reading;
+  }
+}
+
+async function exportAs(format, shipmentId = 'SHIP-1', readings = READINGS) {
+  let document = '';
+  for await (const chunk of EXPORT_FORMATS[format].write(shipmentId, SUMMARY, stream(readings))) {
+    document += chunk;
+  }
+  return document;
+}
+
+describe('trip log exporters', () => {
+  it('writes one CSV row per reading with a column per custom channel', async () => {
+    const [header, first, second, end] = (await exportAs('csv')).split('\n');
+
+    const columns = header.split(',');
+    expect(columns[0]).toBe('shipmentId');
+    expect(columns[columns.length - 1]).toBe('co2');
+
+    const row = first.split(',');
+    expect(row[columns.indexOf('temperature')]).toBe('4.5');
+    expect(row[columns.indexOf('co2')]).toBe('410');
+    expect(row[columns.indexOf('humidity')]).toBe('');
+    expect(second).toContain('"4G, roaming"');
+    expect(end).toBe('');
+  });
+
+  it('writes a GeoJSON point per reading followed by the track', async () => {
+    const collection = JSON.parse(await exportAs('geojson'));
+
+    expect(collection.type).toBe('FeatureCollection');
+    expect(collection.properties).toMatchObject({ shipmentId: 'SHIP-1', pointCount: 2 });
+    expect(collection.features).toHaveLength(3);
+    expect(collection.features[0].geometry).toEqual({ type: 'Point', coordinates: [4.89, 52.37] });
+    expect(collection.features[0].properties).toEqual({
+      timestamp: READINGS[0].timestamp,
+      deviceId: 'DEV-1',
+      temperature: 4.5,
+      door: 'closed',
+      co2: 410,
+      battery: 90
+    });
+    expect(collection.features[2].geometry).toEqual({
+      type: 'LineString',
+      coordinates: [[4.89, 52.37], [4.9, 52.38]]
+    });
+  });
+
+  it('writes an empty GeoJSON track for a trip without readings', async () => {
+    const collection = JSON.parse(await exportAs('geojson', 'SHIP-1', []));
+    expect(collection.features).toEqual([
+      { type: 'Feature', properties: { shipmentId: 'SHIP-1' }, geometry: { type: 'LineString', coordinates: [] } }
+    ]);
+  });
+
+  it('writes GPX track points with sensor extensions and escapes text', async () => {
+    const gpx = await exportAs('gpx', 'SHIP <1> & co');
+
+    expect(gpx).toContain('<name>SHIP &lt;1&gt; &amp; co</name>');
+    expect(gpx.match(/<trkpt /g)).toHaveLength(2);
+    expect(gpx).toContain(
+      '<trkpt lat="52.37" lon="4.89"><time>2024-01-01T00:00:00.000Z</time>' +
+      '<extensions><deviceId>DEV-1</deviceId><temperature>4.5</temperature><door>closed</door>' +
+      '<co2>410</co2><battery>90</battery></extensions></trkpt>'
+    );
+    expect(gpx.trim().endsWith('</gpx>')).toBe(true);
+  });
+});
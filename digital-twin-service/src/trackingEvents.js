@@ -0,0 +1,131 @@
+// Follows the Tracking Agent's Server-Sent Events feed (GET /events) so cached twins
+// can be invalidated by whichever service instance is running, instead of only by
+// the instance that forwarded the telemetry. Reconnects with Last-Event-ID.
+
+const axios = require('axios');
+
+const RECONNECT_DELAY_MS = 3000;
+
+// Event ids are <epoch>-<sequence>; the epoch changes whenever the Tracking Agent restarts
+function parseEventId(id) {
+  const [epoch, sequence] = id.split('-');
+  return { epoch, sequence: Number(sequence) };
+}
+
+// onEvent(type, data) for each event. onReset() when events may have been missed:
+// on the first connection, and when the ids after a reconnect are not contiguous
+// (Tracking Agent restarted, or its replay buffer no longer reaches back far enough).
+function followTrackingEvents({ url, logger, onEvent, onReset }) {
+  let lastEventId;
+  let connected = false;
+  let outageLogged = false; // warn once per outage, not on every retry
+  let closed = false;
+  let stream = null;
+  let retryTimer = null;
+
+  function reconnectLater() {
+    connected = false;
+    stream = null;
+    if (!closed && !retryTimer) {
+      retryTimer = setTimeout(() => {
+        retryTimer = null;
+        connect();
+      }, RECONNECT_DELAY_MS);
+      retryTimer.unref();
+    }
+  }
+
+  async function dispatch(id, type, data) {
+    if (id !== undefined) {
+      const previousId = lastEventId;
+      lastEventId = id;
+      if (previousId !== undefined) {
+        const previous = parseEventId(previousId);
+        const current = parseEventId(id);
+        if (current.epoch !== previous.epoch || current.sequence !== previous.sequence + 1) {
+          logger.warn('Tracking Agent events were missed; resetting cache', { previous: previousId, received: id });
+          await onReset();
+        }
+      }
+    }
+    await onEvent(type, JSON.parse(data));
+  }
+
+  async function connect() {
+    try {
+      const response = await axios.get(`${url}/events`, {
+        responseType: 'stream',
+        headers: {
+          Accept: 'text/event-stream',
+          ...(lastEventId !== undefined ? { 'Last-Event-ID': lastEventId } : {})
+        }
+      });
+
+      if (lastEventId === undefined) {
+        await onReset();
+      }
+      connected = true;
+      outageLogged = false;
+      stream = response.data;
+      logger.info('Following Tracking Agent events', { url: `${url}/events`, lastEventId });
+
+      // Events arrive in order; each is handled before the next
+      let buffer = '';
+      let queue = Promise.resolve();
+      let event = {};
+      stream.setEncoding('utf8');
+      stream.on('data', chunk => {
+        buffer += chunk;
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+
+        lines.forEach(line => {
+          if (line === '') {
+            if (event.data !== undefined) {
+              const { id, type, data } = event;
+              queue = queue
+                .then(() => dispatch(id, type || 'message', data))
+                .catch(error => logger.error('Failed to handle Tracking Agent event', { type, error: error.message }));
+            }
+            event = {};
+          } else if (!line.startsWith(':')) {
+            const separator = line.indexOf(':');
+            const field = separator === -1 ? line : line.slice(0, separator);
+            const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+            if (field === 'id') event.id = value;
+            if (field === 'event') event.type = value;
+            if (field === 'data') event.data = event.data === undefined ? value : `${event.data}\n${value}`;
+          }
+        });
+      });
+      stream.on('error', () => {}); // followed by close
+      stream.on('close', () => {
+        if (!closed) {
+          logger.warn('Tracking Agent event feed closed; reconnecting', { lastEventId });
+          outageLogged = true;
+        }
+        reconnectLater();
+      });
+    } catch (error) {
+      if (!outageLogged) {
+        logger.warn('Cannot reach Tracking Agent event feed; retrying', { url: `${url}/events`, error: error.message });
+        outageLogged = true;
+      }
+      reconnectLater();
+    }
+  }
+
+  connect();
+
+  return {
+    isConnected: () => connected,
+    getLastEventId: () => lastEventId,
+    close: () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      stream?.destroy();
+    }
+  };
+}
+
+module.exports = { followTrackingEvents };
@@ -0,0 +1,88 @@
+const http = require('http');
+const { followTrackingEvents } = require('./trackingEvents');
+
+const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+function sse(id, type, data) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Resolves once condition() holds, checking every few milliseconds
+async function waitFor(condition) {
+  while (!condition()) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('followTrackingEvents', () => {
+  let server;
+  let url;
+  let connections;
+  let follower;
+  let calls;
+
+  beforeEach(async () => {
+    connections = [];
+    calls = [];
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(': connected\n\n');
+      connections.push({ lastEventId: req.headers['last-event-id'], res });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    follower?.close();
+    connections.forEach(({ res }) => res.destroy());
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  function follow() {
+    follower = followTrackingEvents({
+      url,
+      logger,
+      onEvent: async (type, data) => { calls.push([type, data]); },
+      onReset: async () => { calls.push(['reset']); }
+    });
+  }
+
+  it('resets on the first connection and passes events on parsed', async () => {
+    follow();
+    await waitFor(() => connections.length === 1);
+    connections[0].res.write(sse('e1-1', 'digital-twin:updated', { shipmentId: 'SHIP-1' }));
+    connections[0].res.write(sse('e1-2', 'alert', { shipmentId: 'SHIP-1', alert: { id: 'A-1' } }));
+    await waitFor(() => calls.length === 3);
+
+    expect(calls).toEqual([
+      ['reset'],
+      ['digital-twin:updated', { shipmentId: 'SHIP-1' }],
+      ['alert', { shipmentId: 'SHIP-1', alert: { id: 'A-1' } }]
+    ]);
+    expect(follower.isConnected()).toBe(true);
+    expect(follower.getLastEventId()).toBe('e1-2');
+  });
+
+  it('resets when event ids skip ahead or the epoch changes', async () => {
+    follow();
+    await waitFor(() => connections.length === 1);
+    const { res } = connections[0];
+    res.write(sse('e1-1', 'status', { shipmentId: 'SHIP-1' }));
+    res.write(sse('e1-3', 'status', { shipmentId: 'SHIP-1' }));
+    res.write(sse('e2-1', 'status', { shipmentId: 'SHIP-1' }));
+    await waitFor(() => calls.length === 6);
+
+    expect(calls.map(([type]) => type)).toEqual(['reset', 'status', 'reset', 'status', 'reset', 'status']);
+  });
+
+  it('does not reset when events resume in sequence', async () => {
+    follow();
+    await waitFor(() => connections.length === 1);
+    connections[0].res.write(sse('e1-1', 'status', { shipmentId: 'SHIP-1' }));
+    connections[0].res.write(sse('e1-2', 'status', { shipmentId: 'SHIP-1' }));
+    await waitFor(() => calls.length === 3);
+
+    expect(calls.filter(([type]) => type === 'reset')).toHaveLength(1);
+  });
+});
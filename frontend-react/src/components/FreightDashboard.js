@@ -13,8 +13,41 @@ import {
 } from 'lucide-react';
 
 // API Configuration
-const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3002';
 const TRACKING_API = process.env.REACT_APP_TRACKING_API || 'http://localhost:3001';
+const PAYMENT_API = process.env.REACT_APP_PAYMENT_API || 'http://localhost:4001';
+
+const STATUS_LABELS = {
+  created: 'Loading',
+  loading: 'Loading',
+  in_transit: 'In Transit',
+  at_hub: 'At Hub',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled'
+};
+
+// Compliance severities as the invoice card styles them
+const INVOICE_SEVERITIES = { critical: 'critical', high: 'major', medium: 'minor', low: 'minor' };
+
+const VIOLATION_COLORS = ['#ef4444', '#f97316', '#eab308', '#3b82f6', '#8b5cf6', '#6b7280'];
+
+// Bucket start as a chart label: time of day for short ranges, date for longer ones
+const bucketLabel = (bucket, bucketMinutes) => {
+  const start = new Date(bucket.start);
+  return bucketMinutes >= 1440
+    ? start.toLocaleDateString([], { month: 'short', day: 'numeric' })
+    : start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
+
+// Tracking agent shipment summary in the shape ShipmentCard renders
+const toShipmentCard = (shipment) => ({
+  ...shipment,
+  route: shipment.route || '',
+  status: STATUS_LABELS[shipment.status] || shipment.status,
+  location: `${shipment.location.latitude.toFixed(3)}, ${shipment.location.longitude.toFixed(3)}`,
+  eta: shipment.status === 'delivered' ? 'Delivered'
+    : shipment.eta ? new Date(shipment.eta).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : '—',
+  temperature: shipment.temperature ?? '—'
+});
 
 const FreightDashboard = () => {
   const [selectedTimeRange, setSelectedTimeRange] = useState('24h');
@@ -56,126 +89,55 @@ const FreightDashboard = () => {
   };
 
   // Fetch tracking data
-  const { data: trackingData, isLoading: trackingLoading } = useQuery(
+  const { data: trackingData, error: trackingError, dataUpdatedAt: trackingUpdatedAt } = useQuery(
     ['trackingData', selectedTimeRange],
     () => axios.get(`${TRACKING_API}/api/tracking/dashboard/${selectedTimeRange}`).then(res => res.data),
-    { refetchInterval: 5000, enabled: false } // Mock data for now
+    { refetchInterval: 5000, retry: false }
   );
 
   // Fetch payment data
-  const { data: paymentData, isLoading: paymentLoading } = useQuery(
-    ['paymentData'],
-    () => axios.get(`${API_BASE_URL}/api/payments/dashboard`).then(res => res.data),
-    { refetchInterval: 10000, enabled: false } // Mock data for now
+  const { data: paymentData, error: paymentError, dataUpdatedAt: paymentUpdatedAt } = useQuery(
+    ['paymentData', selectedTimeRange],
+    () => axios.get(`${PAYMENT_API}/api/payments/dashboard`, { params: { timeRange: selectedTimeRange } }).then(res => res.data),
+    { refetchInterval: 10000, retry: false }
   );
 
-  // Mock data for demonstration
-  const mockTrackingData = {
-    totalShipments: 1247,
-    activeShipments: 89,
-    completedToday: 23,
-    violations: 12,
-    onTimeDelivery: 94.2,
-    avgTemperature: 2.4,
-    avgHumidity: 65.2,
-    fuelEfficiency: 87.6,
-    recentShipments: [
-      {
-        id: 'SHIP-001',
-        route: 'New York → Boston',
-        status: 'In Transit',
-        temperature: 2.1,
-        humidity: 64,
-        location: 'Connecticut',
-        eta: '2 hours',
-        violations: 0,
-        driver: 'John Smith'
-      },
-      {
-        id: 'SHIP-002',
-        route: 'Miami → Orlando',
-        status: 'Delivered',
-        temperature: 1.8,
-        humidity: 68,
-        location: 'Orlando, FL',
-        eta: 'Delivered',
-        violations: 1,
-        driver: 'Maria Garcia'
-      },
-      {
-        id: 'SHIP-003',
-        route: 'Chicago → Detroit',
-        status: 'Loading',
-        temperature: 2.5,
-        humidity: 62,
-        location: 'Chicago, IL',
-        eta: '4 hours',
-        violations: 0,
-        driver: 'Robert Johnson'
-      }
-    ]
-  };
+  // Nothing is made up when a service is down: its figures show as '—' under an error banner
+  const tracking = trackingData || {};
+  const payments = paymentData || {};
+  const recentShipments = trackingData ? trackingData.recentShipments.map(toShipmentCard) : [];
+  const pendingInvoices = paymentData
+    ? paymentData.pendingInvoices.map(invoice => ({ ...invoice, severity: INVOICE_SEVERITIES[invoice.severity] || 'minor' }))
+    : [];
 
-  const mockPaymentData = {
-    totalPending: 8,
-    totalAmount: 450,
-    paidToday: 125,
-    pendingInvoices: [
-      {
-        invoiceId: 'INV-001',
-        shipmentId: 'SHIP-001',
-        amount: 25,
-        type: 'Temperature Violation',
-        status: 'pending',
-        dueDate: '2025-12-01',
-        severity: 'critical'
-      },
-      {
-        invoiceId: 'INV-002',
-        shipmentId: 'SHIP-002',
-        amount: 50,
-        type: 'Route Deviation',
-        status: 'pending',
-        dueDate: '2025-12-02',
-        severity: 'major'
-      },
-      {
-        invoiceId: 'INV-003',
-        shipmentId: 'SHIP-005',
-        amount: 15,
-        type: 'Delay Penalty',
-        status: 'pending',
-        dueDate: '2025-12-01',
-        severity: 'minor'
-      }
-    ]
-  };
+  const temperatureData = trackingData
+    ? trackingData.buckets.map(bucket => ({
+        time: bucketLabel(bucket, trackingData.bucketMinutes),
+        temp: bucket.avgTemperature,
+        humidity: bucket.avgHumidity
+      }))
+    : [];
+
+  const violationData = trackingData
+    ? Object.entries(trackingData.violationsByType).map(([type, value], index) => ({
+        name: type.charAt(0).toUpperCase() + type.slice(1),
+        value,
+        color: VIOLATION_COLORS[index % VIOLATION_COLORS.length]
+      }))
+    : [];
+
+  const deliveryData = trackingData
+    ? trackingData.buckets.map(bucket => ({
+        month: bucketLabel(bucket, trackingData.bucketMinutes),
+        onTime: bucket.onTime,
+        delayed: bucket.late
+      }))
+    : [];
 
-  // Chart data
-  const temperatureData = [
-    { time: '00:00', temp: 2.1, humidity: 65 },
-    { time: '04:00', temp: 2.3, humidity: 63 },
-    { time: '08:00', temp: 2.0, humidity: 67 },
-    { time: '12:00', temp: 2.4, humidity: 64 },
-    { time: '16:00', temp: 2.2, humidity: 66 },
-    { time: '20:00', temp: 2.1, humidity: 65 },
-  ];
-
-  const violationData = [
-    { name: 'Temperature', value: 45, color: '#ef4444' },
-    { name: 'Route', value: 30, color: '#f97316' },
-    { name: 'Time', value: 20, color: '#eab308' },
-    { name: 'Other', value: 5, color: '#6b7280' }
-  ];
-
-  const deliveryData = [
-    { month: 'Jan', onTime: 96, delayed: 4 },
-    { month: 'Feb', onTime: 94, delayed: 6 },
-    { month: 'Mar', onTime: 97, delayed: 3 },
-    { month: 'Apr', onTime: 95, delayed: 5 },
-    { month: 'May', onTime: 98, delayed: 2 },
-    { month: 'Jun', onTime: 94, delayed: 6 }
-  ];
+  const unavailable = [
+    { name: 'Tracking Agent', url: TRACKING_API, error: trackingError, updatedAt: trackingUpdatedAt },
+    { name: 'Payment Service', url: PAYMENT_API, error: paymentError, updatedAt: paymentUpdatedAt }
+  ].filter(service => service.error);
 
   const StatCard = ({ icon: Icon, title, value, subtitle, trend, color = "blue" }) => {
     const colorMap = {
@@ -266,7 +228,7 @@ const FreightDashboard = () => {
       <div className="flex justify-between items-center pt-3 border-t border-gray-100">
         <div className="flex items-center">
           <div className="w-8 h-8 bg-gradient-to-r from-blue-500 to-purple-500 rounded-full flex items-center justify-center text-white text-xs font-bold mr-2">
-            {shipment.driver.split(' ').map(n => n[0]).join('')}
+            {(shipment.driver || shipment.id).split(' ').map(n => n[0]).join('')}
           </div>
           <span className="text-sm text-gray-600">{shipment.driver}</span>
         </div>
@@ -341,6 +303,22 @@ const FreightDashboard = () => {
         <p className="text-gray-600">Real-time monitoring and analytics for your freight operations</p>
       </div>
 
+      {/* Unreachable services */}
+      {unavailable.map(service => (
+        <div key={service.name} className="mb-6 flex items-start p-4 bg-red-50 border border-red-200 rounded-lg">
+          <XCircle className="h-5 w-5 text-red-600 mr-3 mt-0.5" />
+          <div>
+            <p className="text-sm font-semibold text-red-800">{service.name} is unreachable at {service.url}</p>
+            <p className="text-sm text-red-700">
+              {service.error.message}.{' '}
+              {service.updatedAt
+                ? `Showing figures from ${new Date(service.updatedAt).toLocaleTimeString()}.`
+                : 'Its figures are unavailable until it responds.'}
+            </p>
+          </div>
+        </div>
+      ))}
+
       {/* Time Range Selector */}
       <div className="mb-6">
         <div className="flex space-x-2">
@@ -393,33 +371,30 @@ const FreightDashboard = () => {
             <StatCard
               icon={Truck}
               title="Active Shipments"
-              value={mockTrackingData.activeShipments}
+              value={tracking.activeShipments ?? '—'}
               subtitle="Currently in transit"
-              trend="+12% from yesterday"
               color="blue"
             />
             <StatCard
               icon={Package}
-              title="Completed Today"
-              value={mockTrackingData.completedToday}
+              title="Delivered Today"
+              value={tracking.deliveredToday ?? '—'}
               subtitle="Successful deliveries"
-              trend="+8% from yesterday"
               color="green"
             />
             <StatCard
               icon={AlertTriangle}
-              title="Active Violations"
-              value={mockTrackingData.violations}
-              subtitle="Require attention"
-              trend="-15% from yesterday"
+              title="Violations"
+              value={tracking.violations ?? '—'}
+              subtitle={`In the last ${selectedTimeRange}`}
               color="red"
             />
             <StatCard
               icon={DollarSign}
               title="Pending Payments"
-              value={`${mockPaymentData.totalAmount} ADA`}
-              subtitle={`${mockPaymentData.totalPending} invoices`}
-              trend="$125 paid today"
+              value={paymentData ? `${payments.totalAmount} ADA` : '—'}
+              subtitle={paymentData ? `${payments.totalPending} invoices` : undefined}
+              trend={paymentData ? `${payments.paidToday} ADA paid today` : undefined}
               color="orange"
             />
           </div>
@@ -429,24 +404,24 @@ const FreightDashboard = () => {
             <div className="bg-white rounded-xl shadow-lg p-6">
               <h3 className="text-lg font-semibold mb-4">On-Time Delivery Rate</h3>
               <div className="text-center">
-                <div className="text-4xl font-bold text-green-600 mb-2">{mockTrackingData.onTimeDelivery}%</div>
-                <p className="text-gray-500">Last 30 days</p>
+                <div className="text-4xl font-bold text-green-600 mb-2">{tracking.onTimeRate ?? '—'}%</div>
+                <p className="text-gray-500">Last {selectedTimeRange}</p>
               </div>
             </div>
             
             <div className="bg-white rounded-xl shadow-lg p-6">
               <h3 className="text-lg font-semibold mb-4">Avg. Temperature</h3>
               <div className="text-center">
-                <div className="text-4xl font-bold text-blue-600 mb-2">{mockTrackingData.avgTemperature}°C</div>
+                <div className="text-4xl font-bold text-blue-600 mb-2">{tracking.avgTemperature ?? '—'}°C</div>
                 <p className="text-gray-500">Cold chain compliance</p>
               </div>
             </div>
             
             <div className="bg-white rounded-xl shadow-lg p-6">
-              <h3 className="text-lg font-semibold mb-4">Fuel Efficiency</h3>
+              <h3 className="text-lg font-semibold mb-4">Avg. Excursion</h3>
               <div className="text-center">
-                <div className="text-4xl font-bold text-purple-600 mb-2">{mockTrackingData.fuelEfficiency}%</div>
-                <p className="text-gray-500">Fleet average</p>
+                <div className="text-4xl font-bold text-purple-600 mb-2">{trackingData ? `${tracking.avgExcursionMinutes ?? 0} min` : '—'}</div>
+                <p className="text-gray-500">Per temperature excursion</p>
               </div>
             </div>
           </div>
@@ -479,7 +454,7 @@ const FreightDashboard = () => {
           <div className="bg-white rounded-xl shadow-lg p-6">
             <h3 className="text-lg font-semibold mb-4">Active Shipments</h3>
             <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-4">
-              {mockTrackingData.recentShipments.map(shipment => (
+              {recentShipments.map(shipment => (
                 <ShipmentCard key={shipment.id} shipment={shipment} />
               ))}
             </div>
@@ -494,14 +469,14 @@ const FreightDashboard = () => {
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
             <div className="bg-white rounded-xl shadow-lg p-6 border-l-4 border-red-500">
               <h3 className="text-lg font-semibold text-gray-900 mb-2">Pending Invoices</h3>
-              <p className="text-3xl font-bold text-red-600">{mockPaymentData.totalPending}</p>
-              <p className="text-sm text-gray-500">Total Amount: {mockPaymentData.totalAmount} ADA</p>
+              <p className="text-3xl font-bold text-red-600">{payments.totalPending ?? '—'}</p>
+              <p className="text-sm text-gray-500">Total Amount: {payments.totalAmount ?? '—'} ADA</p>
             </div>
             
             <div className="bg-white rounded-xl shadow-lg p-6 border-l-4 border-green-500">
               <h3 className="text-lg font-semibold text-gray-900 mb-2">Paid Today</h3>
-              <p className="text-3xl font-bold text-green-600">{mockPaymentData.paidToday} ADA</p>
-              <p className="text-sm text-gray-500">3 transactions completed</p>
+              <p className="text-3xl font-bold text-green-600">{payments.paidToday ?? '—'} ADA</p>
+              <p className="text-sm text-gray-500">{payments.paidInRange ?? '—'} paid, {payments.adaSettled ?? '—'} ADA settled in the last {selectedTimeRange}</p>
             </div>
             
             <div className="bg-white rounded-xl shadow-lg p-6 border-l-4 border-blue-500">
@@ -520,7 +495,7 @@ const FreightDashboard = () => {
               </button>
             </div>
             <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-4">
-              {mockPaymentData.pendingInvoices.map(invoice => (
+              {pendingInvoices.map(invoice => (
                 <InvoiceCard key={invoice.invoiceId} invoice={invoice} />
               ))}
             </div>
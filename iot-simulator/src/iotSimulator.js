@@ -5,6 +5,8 @@ const { Command } = require('commander');
 const winston = require('winston');
 const dotenv = require('dotenv');
 const chalk = require('chalk');
+const crypto = require('crypto');
+const fs = require('fs');
 
 // Load environment variables
 dotenv.config();
@@ -43,6 +45,8 @@ program
   .option('--lon-center <number>', 'starting longitude center', '-74.0060')
   .option('--temp-base <number>', 'base temperature in Celsius', '20')
   .option('--humidity-base <number>', 'base humidity percentage', '50')
+  .option('--hmac-secret <secret>', 'sign telemetry with HMAC-SHA256 using this device secret', process.env.DEVICE_HMAC_SECRET)
+  .option('--signing-key <path>', 'sign telemetry with this Ed25519 private key (PEM file)', process.env.DEVICE_SIGNING_KEY)
   .option('--verbose', 'enable verbose logging')
   .parse();
 
@@ -62,6 +66,11 @@ const CONFIG = {
     temperature: parseFloat(options.tempBase),
     humidity: parseFloat(options.humidityBase)
   },
+  signing: options.signingKey
+    ? { algorithm: 'Ed25519', key: crypto.createPrivateKey(fs.readFileSync(options.signingKey)) }
+    : options.hmacSecret
+      ? { algorithm: 'HMAC-SHA256', key: options.hmacSecret }
+      : null,
   verbose: options.verbose
 };
 
@@ -69,6 +78,34 @@ if (CONFIG.verbose) {
   logger.level = 'debug';
 }
 
+// JSON with sorted keys, matching the canonical form the Tracking Agent verifies
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Attach a signature over the canonical payload, as a real device would
+function signTelemetry(telemetry) {
+  const payload = Buffer.from(canonicalize(telemetry));
+  const value = CONFIG.signing.algorithm === 'Ed25519'
+    ? crypto.sign(null, payload, CONFIG.signing.key)
+    : crypto.createHmac('sha256', CONFIG.signing.key).update(payload).digest();
+
+  return {
+    ...telemetry,
+    signature: { algorithm: CONFIG.signing.algorithm, value: value.toString('base64') }
+  };
+}
+
 // Shipment class for managing individual shipment simulation
 class ShipmentSimulator {
   constructor(shipmentId, startLat, startLon) {
@@ -226,7 +263,7 @@ class ShipmentSimulator {
     
     this.lastTransmission = new Date();
     
-    return telemetry;
+    return CONFIG.signing ? signTelemetry(telemetry) : telemetry;
   }
   
   // Get shipment status for monitoring
@@ -7,6 +7,8 @@ const Joi = require('joi');
 const { v4: uuidv4 } = require('uuid');
 const axios = require('axios');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const CardanoWasm = require('@emurgo/cardano-serialization-lib-nodejs');
 
 // Load environment variables
@@ -90,11 +92,19 @@ const createInvoiceSchema = Joi.object({
     shipmentId: Joi.string().optional(),
     violationId: Joi.string().optional(),
     invoiceId: Joi.string().optional(),
-    complianceAgentId: Joi.string().optional()
+    complianceAgentId: Joi.string().optional(),
+    severity: Joi.string().optional()
   }).optional(),
   webhookUrl: Joi.string().uri().optional()
 });
 
+// Dashboard time ranges and the bucket width each is split into, shared with the
+// tracking agent's dashboard so both offer the same ranges
+const DASHBOARD_RANGES = new Map(Object.entries(JSON.parse(fs.readFileSync(
+  process.env.DASHBOARD_RANGES_PATH || path.join(__dirname, '../../../config/dashboard-ranges.json'),
+  'utf8'
+))));
+
 const webhookSchema = Joi.object({
   event: Joi.string().valid('payment.confirmed', 'payment.failed', 'payment.pending').required(),
   invoiceId: Joi.string().required(),
@@ -636,6 +646,92 @@ app.get('/invoices', (req, res) => {
   });
 });
 
+// Invoice and settlement KPIs for the frontend dashboard
+app.get('/api/payments/dashboard', (req, res) => {
+  const timeRange = req.query.timeRange || '24h';
+  const range = DASHBOARD_RANGES.get(timeRange);
+
+  if (!range) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: `"timeRange" must be one of [${Array.from(DASHBOARD_RANGES.keys()).join(', ')}]`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const now = new Date();
+  const to = now.getTime();
+  const from = to - range.minutes * 60000;
+  const bucketMs = range.bucketMinutes * 60000;
+  const midnight = new Date(now);
+  midnight.setUTCHours(0, 0, 0, 0);
+
+  const buckets = Array.from({ length: range.minutes / range.bucketMinutes }, (_, i) => ({
+    start: new Date(from + i * bucketMs),
+    end: new Date(from + (i + 1) * bucketMs),
+    invoiced: 0,
+    invoicedAda: 0,
+    paid: 0,
+    adaSettled: 0
+  }));
+  const bucketAt = (date) => {
+    const at = date ? new Date(date).getTime() : NaN;
+    return at >= from && at <= to
+      ? buckets[Math.min(Math.floor((at - from) / bucketMs), buckets.length - 1)]
+      : undefined;
+  };
+
+  const allInvoices = Array.from(invoices.values());
+  const outstanding = allInvoices.filter(invoice => invoice.status === 'pending');
+  const paid = allInvoices.filter(invoice => invoice.status === 'paid');
+  const ada = (list) => list.reduce((total, invoice) => total + convertLovelaceToAda(invoice.amountLovelace), 0);
+
+  allInvoices.forEach(invoice => {
+    const created = bucketAt(invoice.createdAt);
+    if (created) {
+      created.invoiced++;
+      created.invoicedAda += convertLovelaceToAda(invoice.amountLovelace);
+    }
+    const settled = invoice.status === 'paid' && bucketAt(invoice.paidAt);
+    if (settled) {
+      settled.paid++;
+      settled.adaSettled += convertLovelaceToAda(invoice.amountLovelace);
+    }
+  });
+
+  const paidInRange = paid.filter(invoice => bucketAt(invoice.paidAt));
+
+  res.json({
+    timeRange,
+    from: new Date(from),
+    to: now,
+    bucketMinutes: range.bucketMinutes,
+    totalPending: outstanding.length,
+    totalAmount: ada(outstanding),
+    overdue: outstanding.filter(invoice => new Date(invoice.dueDate) < now).length,
+    totalPaid: paid.length,
+    paidToday: ada(paid.filter(invoice => invoice.paidAt && new Date(invoice.paidAt) >= midnight)),
+    paidInRange: paidInRange.length,
+    adaSettled: ada(paidInRange),
+    adaSettledTotal: ada(paid),
+    buckets,
+    // Outstanding invoices, earliest due first
+    pendingInvoices: outstanding
+      .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate))
+      .slice(0, 20)
+      .map(invoice => ({
+        invoiceId: invoice.invoiceId,
+        shipmentId: invoice.metadata.shipmentId,
+        amount: convertLovelaceToAda(invoice.amountLovelace),
+        type: invoice.description,
+        status: invoice.status,
+        dueDate: invoice.dueDate,
+        severity: invoice.metadata.severity
+      })),
+    timestamp: now.toISOString()
+  });
+});
+
 // Payment webhook endpoint
 app.post('/payment/webhook', async (req, res, next) => {
   try {
@@ -858,7 +954,7 @@ app.put('/invoices/:id/status', (req, res) => {
 });
 
 // Global error handler
-app.use((error, req, res, next) => {
+app.use((error, req, res, _next) => {
   logger.error('Unhandled error', {
     error: error.message,
     stack: error.stack,
@@ -902,7 +998,7 @@ process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
   
   // Stop all payment monitoring intervals
-  for (const [paymentId, intervalId] of monitoringIntervals.entries()) {
+  for (const intervalId of monitoringIntervals.values()) {
     clearInterval(intervalId);
   }
   monitoringIntervals.clear();